@@ -0,0 +1,181 @@
+/**
+ * places-proxy.js - Places API プロキシ共通処理
+ * APIキーは環境変数 GOOGLE_PLACES_API_KEY から読み込み、ブラウザには渡さない
+ * 以前 index.html に書いていたキーは git の履歴に残っているため、無効にして新しいキーを発行するか、
+ * 少なくとも API とリファラーの制限をかけてから使うこと（HEAD から消しただけでは守れない）
+ * IP単位のレート制限と、短時間のレスポンスキャッシュを提供する
+ */
+
+const MAPS_API_BASE = 'https://maps.googleapis.com/maps/api';
+
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+const CACHE_MAX_ENTRIES = 500;
+
+// インスタンス内メモリ（サーバーレスのインスタンスが生きている間だけ有効）
+const rateLimits = new Map();
+const cache = new Map();
+
+/**
+ * リクエスト元IPを取得
+ */
+function getClientIp(req) {
+    const forwarded = req.headers['x-forwarded-for'];
+    if (forwarded) {
+        return String(forwarded).split(',')[0].trim();
+    }
+    return (req.socket && req.socket.remoteAddress) || 'unknown';
+}
+
+/**
+ * IP単位のレート制限（固定ウィンドウ）
+ * @param {string} key - "ルート名:IP"
+ * @param {number} limit - 1分あたりの上限
+ * @returns {{ allowed: boolean, retryAfter: number }}
+ */
+function checkRateLimit(key, limit) {
+    const now = Date.now();
+    let entry = rateLimits.get(key);
+    if (!entry || now - entry.windowStart >= RATE_LIMIT_WINDOW_MS) {
+        entry = { windowStart: now, count: 0 };
+        rateLimits.set(key, entry);
+    }
+
+    entry.count++;
+    if (entry.count > limit) {
+        return {
+            allowed: false,
+            retryAfter: Math.ceil((entry.windowStart + RATE_LIMIT_WINDOW_MS - now) / 1000)
+        };
+    }
+
+    // 古いエントリを掃除
+    if (rateLimits.size > CACHE_MAX_ENTRIES) {
+        for (const [k, v] of rateLimits) {
+            if (now - v.windowStart >= RATE_LIMIT_WINDOW_MS) rateLimits.delete(k);
+        }
+    }
+
+    return { allowed: true, retryAfter: 0 };
+}
+
+/**
+ * キャッシュから取得（期限切れは削除）
+ */
+function getCached(key) {
+    const entry = cache.get(key);
+    if (!entry) return null;
+    if (Date.now() > entry.expiresAt) {
+        cache.delete(key);
+        return null;
+    }
+    return entry.value;
+}
+
+/**
+ * キャッシュに保存（上限を超えたら古い順に削除）
+ */
+function setCached(key, value, ttlMs) {
+    cache.delete(key);
+    cache.set(key, { value, expiresAt: Date.now() + ttlMs });
+    while (cache.size > CACHE_MAX_ENTRIES) {
+        cache.delete(cache.keys().next().value);
+    }
+}
+
+/**
+ * Places / Geocoding API の URL を生成（APIキーを付与）
+ * @param {string} endpoint - 'place/nearbysearch/json' など
+ * @param {Object} params - クエリパラメータ（undefined / 空文字は除外）
+ */
+function buildPlacesUrl(endpoint, params) {
+    const url = new URL(`${MAPS_API_BASE}/${endpoint}`);
+    Object.keys(params).sort().forEach(name => {
+        const value = params[name];
+        if (value !== undefined && value !== null && value !== '') {
+            url.searchParams.set(name, value);
+        }
+    });
+    url.searchParams.set('key', process.env.GOOGLE_PLACES_API_KEY);
+    return url;
+}
+
+/**
+ * 共通ハンドラ: メソッド確認・APIキー確認・レート制限をしてから handler を実行
+ * @param {string} name - ルート名（レート制限のキー）
+ * @param {number} limit - 1分あたりの上限
+ * @param {Function} handler - async (req, res) => void
+ */
+function createHandler(name, limit, handler) {
+    return async (req, res) => {
+        if (req.method !== 'GET') {
+            res.setHeader('Allow', 'GET');
+            res.status(405).json({ status: 'INVALID_REQUEST', error_message: 'Method not allowed' });
+            return;
+        }
+
+        if (!process.env.GOOGLE_PLACES_API_KEY) {
+            console.error('GOOGLE_PLACES_API_KEY が設定されていません');
+            res.status(500).json({ status: 'REQUEST_DENIED', error_message: 'Server is not configured' });
+            return;
+        }
+
+        const { allowed, retryAfter } = checkRateLimit(`${name}:${getClientIp(req)}`, limit);
+        if (!allowed) {
+            res.setHeader('Retry-After', String(retryAfter));
+            res.status(429).json({ status: 'OVER_QUERY_LIMIT', error_message: 'Too many requests' });
+            return;
+        }
+
+        try {
+            await handler(req, res);
+        } catch (error) {
+            console.error(`${name} プロキシエラー:`, error);
+            res.status(502).json({ status: 'UNKNOWN_ERROR', error_message: 'Upstream request failed' });
+        }
+    };
+}
+
+/**
+ * Places / Geocoding API の JSON を取得（成功レスポンスのみキャッシュ）
+ * @param {string} endpoint
+ * @param {Object} params
+ * @param {number} ttlMs
+ * @returns {Promise<{ body: Object, cached: boolean }>}
+ */
+async function fetchPlacesJson(endpoint, params, ttlMs) {
+    const url = buildPlacesUrl(endpoint, params);
+    const cacheKey = `${endpoint}?${new URLSearchParams(
+        Object.entries(params).filter(([, v]) => v !== undefined && v !== null && v !== '')
+    ).toString()}`;
+
+    const cached = getCached(cacheKey);
+    if (cached) {
+        return { body: cached, cached: true };
+    }
+
+    const response = await fetch(url);
+    const body = await response.json();
+    if (body.status === 'OK' || body.status === 'ZERO_RESULTS') {
+        setCached(cacheKey, body, ttlMs);
+    }
+    return { body, cached: false };
+}
+
+/**
+ * 数値パラメータを検証して返す（不正なら null）
+ */
+function parseNumber(value, min, max) {
+    const number = Number(value);
+    if (value === undefined || value === '' || !Number.isFinite(number)) return null;
+    if (number < min || number > max) return null;
+    return number;
+}
+
+module.exports = {
+    buildPlacesUrl,
+    createHandler,
+    fetchPlacesJson,
+    getCached,
+    setCached,
+    parseNumber
+};
@@ -0,0 +1,44 @@
+/**
+ * GET /api/places/details - Place Details プロキシ
+ * クエリ: place_id, fields（カンマ区切り）, language
+ */
+
+const { createHandler, fetchPlacesJson } = require('../_lib/places-proxy');
+
+const CACHE_TTL_MS = 5 * 60 * 1000;
+const RATE_LIMIT_PER_MINUTE = 60;
+
+// 課金対象を増やさないよう、取得できるフィールドを限定する
+const ALLOWED_FIELDS = [
+    'opening_hours',
+    'reviews',
+    'types',
+    'editorial_summary',
+    'website',
+    'formatted_phone_number',
+    'url',
+    'serves_vegetarian_food',
+    'reservable',
+    'wheelchair_accessible_entrance'
+];
+
+module.exports = createHandler('details', RATE_LIMIT_PER_MINUTE, async (req, res) => {
+    const placeId = req.query.place_id;
+    if (!placeId) {
+        res.status(400).json({ status: 'INVALID_REQUEST', error_message: 'place_id is required' });
+        return;
+    }
+
+    const requested = String(req.query.fields || '').split(',').filter(Boolean);
+    const fields = requested.filter(field => ALLOWED_FIELDS.includes(field));
+
+    const { body, cached } = await fetchPlacesJson('place/details/json', {
+        place_id: placeId,
+        fields: (fields.length > 0 ? fields : ALLOWED_FIELDS).join(','),
+        language: req.query.language
+    }, CACHE_TTL_MS);
+
+    res.setHeader('Cache-Control', `private, max-age=${CACHE_TTL_MS / 1000}`);
+    res.setHeader('X-Cache', cached ? 'HIT' : 'MISS');
+    res.status(200).json(body);
+});
@@ -0,0 +1,38 @@
+/**
+ * GET /api/places/distance - Distance Matrix プロキシ（徒歩ルートの距離・所要時間）
+ * クエリ: origin_lat, origin_lng, destinations（"lat,lng" を | 区切り、最大25件）, language
+ */
+
+const { createHandler, fetchPlacesJson, parseNumber } = require('../_lib/places-proxy');
+
+// 徒歩ルートはほとんど変わらないため長めにキャッシュする
+const CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+const RATE_LIMIT_PER_MINUTE = 60;
+// Distance Matrix API の1リクエストあたりの目的地の上限
+const MAX_DESTINATIONS = 25;
+
+module.exports = createHandler('distance', RATE_LIMIT_PER_MINUTE, async (req, res) => {
+    const lat = parseNumber(req.query.origin_lat, -90, 90);
+    const lng = parseNumber(req.query.origin_lng, -180, 180);
+    const destinations = String(req.query.destinations || '').split('|').filter(Boolean).map(point => {
+        const [destLat, destLng] = point.split(',');
+        return [parseNumber(destLat, -90, 90), parseNumber(destLng, -180, 180)];
+    });
+
+    if (lat === null || lng === null || destinations.length === 0 || destinations.length > MAX_DESTINATIONS ||
+        destinations.some(([destLat, destLng]) => destLat === null || destLng === null)) {
+        res.status(400).json({ status: 'INVALID_REQUEST', error_message: `origin and 1-${MAX_DESTINATIONS} destinations are required` });
+        return;
+    }
+
+    const { body, cached } = await fetchPlacesJson('distancematrix/json', {
+        origins: `${lat},${lng}`,
+        destinations: destinations.map(point => point.join(',')).join('|'),
+        mode: 'walking',
+        language: req.query.language
+    }, CACHE_TTL_MS);
+
+    res.setHeader('Cache-Control', `private, max-age=${CACHE_TTL_MS / 1000}`);
+    res.setHeader('X-Cache', cached ? 'HIT' : 'MISS');
+    res.status(200).json(body);
+});
@@ -0,0 +1,28 @@
+/**
+ * GET /api/places/geocode - Geocoding プロキシ（駅名・住所 → 座標）
+ * クエリ: address, language
+ */
+
+const { createHandler, fetchPlacesJson } = require('../_lib/places-proxy');
+
+const CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+const RATE_LIMIT_PER_MINUTE = 30;
+const MAX_ADDRESS_LENGTH = 200;
+
+module.exports = createHandler('geocode', RATE_LIMIT_PER_MINUTE, async (req, res) => {
+    const address = String(req.query.address || '').trim();
+    if (!address || address.length > MAX_ADDRESS_LENGTH) {
+        res.status(400).json({ status: 'INVALID_REQUEST', error_message: 'address is required' });
+        return;
+    }
+
+    const { body, cached } = await fetchPlacesJson('geocode/json', {
+        address: address,
+        region: 'jp',
+        language: req.query.language
+    }, CACHE_TTL_MS);
+
+    res.setHeader('Cache-Control', `private, max-age=${CACHE_TTL_MS / 1000}`);
+    res.setHeader('X-Cache', cached ? 'HIT' : 'MISS');
+    res.status(200).json(body);
+});
@@ -0,0 +1,44 @@
+/**
+ * GET /api/places/nearby - Nearby Search プロキシ
+ * クエリ: lat, lng, radius, type, keyword, opennow, language
+ *         pagetoken（2ページ目以降。指定時は他の検索条件は無視される）
+ */
+
+const { createHandler, fetchPlacesJson, parseNumber } = require('../_lib/places-proxy');
+
+const CACHE_TTL_MS = 60 * 1000;
+// 複数のカテゴリ・ジャンルを選ぶと1回の検索で最大8リクエストを並行して送るため、多めにしておく
+const RATE_LIMIT_PER_MINUTE = 60;
+const MAX_RADIUS = 50000;
+
+module.exports = createHandler('nearby', RATE_LIMIT_PER_MINUTE, async (req, res) => {
+    let params;
+
+    if (req.query.pagetoken) {
+        params = { pagetoken: req.query.pagetoken };
+    } else {
+        const lat = parseNumber(req.query.lat, -90, 90);
+        const lng = parseNumber(req.query.lng, -180, 180);
+        const radius = parseNumber(req.query.radius, 1, MAX_RADIUS);
+
+        if (lat === null || lng === null || radius === null) {
+            res.status(400).json({ status: 'INVALID_REQUEST', error_message: 'lat, lng and radius are required' });
+            return;
+        }
+
+        params = {
+            location: `${lat},${lng}`,
+            radius: String(Math.round(radius)),
+            type: req.query.type,
+            keyword: req.query.keyword,
+            opennow: req.query.opennow === 'true' ? 'true' : undefined,
+            language: req.query.language
+        };
+    }
+
+    const { body, cached } = await fetchPlacesJson('place/nearbysearch/json', params, CACHE_TTL_MS);
+
+    res.setHeader('Cache-Control', `private, max-age=${CACHE_TTL_MS / 1000}`);
+    res.setHeader('X-Cache', cached ? 'HIT' : 'MISS');
+    res.status(200).json(body);
+});
@@ -0,0 +1,44 @@
+/**
+ * GET /api/places/photo - Place Photo プロキシ
+ * クエリ: ref（photo_reference）, maxwidth, maxheight
+ * Google が返すリダイレクト先（APIキーを含まない画像URL）へリダイレクトする
+ */
+
+const { buildPlacesUrl, createHandler, getCached, setCached, parseNumber } = require('../_lib/places-proxy');
+
+const CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+const RATE_LIMIT_PER_MINUTE = 120;
+const MAX_SIZE = 1600;
+
+module.exports = createHandler('photo', RATE_LIMIT_PER_MINUTE, async (req, res) => {
+    const ref = req.query.ref;
+    const maxWidth = parseNumber(req.query.maxwidth, 1, MAX_SIZE) || 600;
+    const maxHeight = parseNumber(req.query.maxheight, 1, MAX_SIZE) || 600;
+
+    if (!ref) {
+        res.status(400).json({ status: 'INVALID_REQUEST', error_message: 'ref is required' });
+        return;
+    }
+
+    const cacheKey = `photo?${ref}&${maxWidth}x${maxHeight}`;
+    let location = getCached(cacheKey);
+
+    if (!location) {
+        const url = buildPlacesUrl('place/photo', {
+            photo_reference: ref,
+            maxwidth: String(maxWidth),
+            maxheight: String(maxHeight)
+        });
+        const response = await fetch(url, { redirect: 'manual' });
+        location = response.headers.get('location');
+
+        if (!location) {
+            res.status(404).json({ status: 'NOT_FOUND', error_message: 'Photo not found' });
+            return;
+        }
+        setCached(cacheKey, location, CACHE_TTL_MS);
+    }
+
+    res.setHeader('Cache-Control', `public, max-age=${CACHE_TTL_MS / 1000}`);
+    res.redirect(302, location);
+});
@@ -0,0 +1,96 @@
+/**
+ * app-db.js - IndexedDB ラッパー
+ * 端末内に保存するデータ（お気に入り・閲覧履歴・非表示にしたお店・行ったお店・オフライン用のキャッシュなど）の読み書きを Promise で扱う
+ */
+
+const AppDB = (() => {
+    const DB_NAME = 'lets-eat';
+    // ストアを追加したらバージョンを上げる（未作成のストアだけが作られる）
+    const DB_VERSION = 3;
+
+    const STORES = {
+        favorites: { keyPath: 'id' },
+        history: { keyPath: 'id' },
+        searches: { keyPath: 'key' },
+        details: { keyPath: 'id' },
+        hidden: { keyPath: 'id' },
+        visits: { keyPath: 'id', autoIncrement: true }
+    };
+
+    let dbPromise = null;
+
+    /**
+     * データベースを開く（初回のみ接続し、以降は同じ接続を使う）
+     * @returns {Promise<IDBDatabase>}
+     */
+    function open() {
+        if (dbPromise) return dbPromise;
+
+        dbPromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error(I18n.t('db.unavailable')));
+                return;
+            }
+
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                Object.entries(STORES).forEach(([name, options]) => {
+                    if (!db.objectStoreNames.contains(name)) {
+                        db.createObjectStore(name, options);
+                    }
+                });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        // 失敗した場合は次回に再接続できるようにする
+        dbPromise.catch(() => {
+            dbPromise = null;
+        });
+
+        return dbPromise;
+    }
+
+    /**
+     * 1つのストアに対してリクエストを実行
+     * @param {string} storeName
+     * @param {string} mode - 'readonly' / 'readwrite'
+     * @param {Function} operation - (store) => IDBRequest
+     */
+    async function run(storeName, mode, operation) {
+        const db = await open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    function get(storeName, key) {
+        return run(storeName, 'readonly', store => store.get(key));
+    }
+
+    function getAll(storeName) {
+        return run(storeName, 'readonly', store => store.getAll());
+    }
+
+    function put(storeName, value) {
+        return run(storeName, 'readwrite', store => store.put(value));
+    }
+
+    function remove(storeName, key) {
+        return run(storeName, 'readwrite', store => store.delete(key));
+    }
+
+    return {
+        get,
+        getAll,
+        put,
+        remove
+    };
+})();
@@ -3,18 +3,53 @@
  * フィルター管理、検索フロー制御、イベントハンドラ
  */
 
+// 検索範囲の段階（0件のときは次の段階へ広げて再検索する）
+const DISTANCE_STEPS = [
+    { value: '400', labelKey: 'distanceStep.400' },
+    { value: '800', labelKey: 'distanceStep.800' },
+    { value: '1200', labelKey: 'distanceStep.1200' },
+    { value: '3000', labelKey: 'distanceStep.3000' }
+];
+
+// 現在地の追跡で、この距離以上動いたら距離を計算し直す（測位の揺れで並び順が入れ替わらないように）
+const TRACKING_MIN_MOVE_M = 5;
+
+// お気に入り画面を開いたときに営業時間を取得し直す件数の上限と、同時に取得する数
+const FAVORITES_REFRESH_LIMIT = 5;
+const FAVORITES_REFRESH_CONCURRENCY = 2;
+
+// ローテーションモードで後ろに回す「最近行ったお店」の日数と、設定の保存先
+const ROTATION_DAYS = 7;
+const ROTATION_STORAGE_KEY = 'lets-eat:rotation';
+
+// 「日時を指定」の値（datetime-local の形式）
+const DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/;
+
 // --- アプリの状態 ---
 const AppState = {
     filters: {
-        category: 'restaurant',
-        distance: '400',   // 固定: 徒歩5分 = 400m
-        budget: null,
+        when: 'now',       // 'now' / 'HH:mm'（次に来るその時刻）/ 'YYYY-MM-DDTHH:mm'（日時を指定）
+        category: ['restaurant'],  // 複数選択（常に1つ以上）
+        distance: '400',   // デフォルト: 徒歩5分 = 400m
+        budget: [],        // 複数選択（空なら指定なし）
         smoking: 'any',    // デフォルト: 指定なし
-        cuisine: null
+        cuisine: [],       // 複数選択（空なら指定なし）
+        amenity: []        // 食事制限・設備（複数選択、すべてを満たすお店を探す）
     },
-    currentLocation: null,
+    currentLocation: null,  // 検索の中心（現在地または手動で指定した地点）
+    manualLocation: null,   // 手動で指定した地点 { lat, lng, label }（null なら GPS を使う）
+    sharedLocation: false,  // manualLocation が共有リンクの地点か（トップ画面から検索し直すときに現在地に戻す）
+    participants: null,     // みんなで集まるときの各自の場所 [{ lat, lng, label }]（null なら一人で検索）
+    searchRadius: 400,    // 実際に検索した半径（自動で広げた場合は filters.distance より大きい）
     places: [],
-    isSearching: false
+    resultsView: 'list',  // 'list' または 'map'
+    sortOrder: 'recommended',
+    isSearching: false,
+    isLoadingMore: false,
+    tracking: null,       // 現在地の追跡 { stop, position, measuredFrom }（null なら追跡していない）
+    rotation: false,      // ローテーションモード（最近行ったお店を後ろに回す）
+    hiddenIds: new Set(),       // 非表示にしたお店（検索のたびに読み直す）
+    recentVisitIds: new Set()   // ROTATION_DAYS 日以内に行ったお店
 };
 
 // --- フィルター管理 ---
@@ -29,56 +64,154 @@ function setupFilters() {
             const value = btn.dataset.value;
 
             if (type === 'category') {
-                // カテゴリは単一選択（常にどれか1つ）
-                document.querySelectorAll(`[data-type="category"]`).forEach(b => b.classList.remove('active'));
-                btn.classList.add('active');
-                AppState.filters.category = value;
-
-                // Cuisine フィルターの表示/非表示を切り替え
-                const cuisineGroup = document.getElementById('filter-group-cuisine');
-                if (value === 'restaurant') {
-                    cuisineGroup.style.display = '';
+                // カテゴリは複数選択（最後の1つは解除できない）
+                const selected = AppState.filters.category;
+                if (selected.includes(value)) {
+                    if (selected.length === 1) return;
+                    AppState.filters.category = selected.filter(v => v !== value);
                 } else {
-                    cuisineGroup.style.display = 'none';
-                    // レストラン以外の場合はCuisine選択をリセット
-                    AppState.filters.cuisine = null;
-                    document.querySelectorAll(`[data-type="cuisine"]`).forEach(b => b.classList.remove('active'));
-                }
-            } else if (type === 'budget') {
-                // 予算はトグル（再度クリックで解除）
-                const isActive = btn.classList.contains('active');
-                document.querySelectorAll(`[data-type="budget"]`).forEach(b => b.classList.remove('active'));
-                if (!isActive) {
-                    btn.classList.add('active');
-                    AppState.filters.budget = value;
-                } else {
-                    AppState.filters.budget = null;
+                    AppState.filters.category = [...selected, value];
                 }
+                setFilterButtonActive(btn, AppState.filters.category.includes(value));
+                updateCuisineFilter();
+            } else if (type === 'budget' || type === 'cuisine' || type === 'amenity') {
+                // 予算・ジャンル・食事制限や設備は複数選択のトグル（再度クリックで解除）
+                const selected = AppState.filters[type];
+                AppState.filters[type] = selected.includes(value)
+                    ? selected.filter(v => v !== value)
+                    : [...selected, value];
+                setFilterButtonActive(btn, AppState.filters[type].includes(value));
+            } else if (type === 'distance') {
+                // 距離は単一選択（常にどれか1つ）
+                document.querySelectorAll(`[data-type="distance"]`).forEach(b => setFilterButtonActive(b, b === btn));
+                AppState.filters.distance = value;
             } else if (type === 'smoking') {
                 // 喫煙は単一選択（常にどれか1つ）
-                document.querySelectorAll(`[data-type="smoking"]`).forEach(b => b.classList.remove('active'));
-                btn.classList.add('active');
+                document.querySelectorAll(`[data-type="smoking"]`).forEach(b => setFilterButtonActive(b, b === btn));
                 AppState.filters.smoking = value;
-            } else if (type === 'cuisine') {
-                // ジャンルはトグル
-                const isActive = btn.classList.contains('active');
-                document.querySelectorAll(`[data-type="cuisine"]`).forEach(b => b.classList.remove('active'));
-                if (!isActive) {
-                    btn.classList.add('active');
-                    AppState.filters.cuisine = value;
-                } else {
-                    AppState.filters.cuisine = null;
-                }
+            } else if (type === 'when') {
+                // 「日時を指定」は入力欄の日時（未入力なら1時間後）を使う
+                const input = document.getElementById('input-when');
+                setWhenFilter(value === 'custom' ? (input.value || toDateTimeLocal(getDefaultPlannedTime())) : value);
             }
         });
     });
+
+    document.getElementById('input-when').addEventListener('change', (e) => {
+        if (e.target.value) setWhenFilter(e.target.value);
+    });
+}
+
+/**
+ * フィルターボタンの選択状態を切り替え（支援技術に伝える aria-pressed も合わせる）
+ * @param {HTMLElement} btn
+ * @param {boolean} active
+ */
+function setFilterButtonActive(btn, active) {
+    btn.classList.toggle('active', active);
+    btn.setAttribute('aria-pressed', String(active));
+}
+
+/**
+ * 「いつ」の選択を設定し、ボタンと日時の入力欄の表示を合わせる
+ * @param {string} value - AppState.filters.when の値
+ */
+function setWhenFilter(value) {
+    const isCustom = DATETIME_PATTERN.test(value);
+    const buttonValue = isCustom ? 'custom' : value;
+    document.querySelectorAll(`[data-type="when"]`).forEach(b => setFilterButtonActive(b, b.dataset.value === buttonValue));
+
+    const input = document.getElementById('input-when');
+    input.classList.toggle('hidden', !isCustom);
+    input.min = toDateTimeLocal(new Date());
+    if (isCustom) input.value = value;
+
+    AppState.filters.when = value;
+}
+
+/**
+ * 「いつ」の選択から検索の基準日時を求める
+ * 'HH:mm' は次に来るその時刻（今日の時刻を過ぎていれば明日）
+ * @param {string} when - AppState.filters.when の値
+ * @returns {Date|null} 今すぐ・過ぎた日時・不正な値なら null
+ */
+function getPlannedTime(when) {
+    if (!when || when === 'now') return null;
+
+    let at;
+    const time = when.match(/^(\d{1,2}):(\d{2})$/);
+    if (time) {
+        at = new Date();
+        at.setHours(parseInt(time[1]), parseInt(time[2]), 0, 0);
+        if (at.getTime() <= Date.now()) at.setDate(at.getDate() + 1);
+    } else if (DATETIME_PATTERN.test(when)) {
+        at = new Date(when);  // タイムゾーンなしの日時はローカル時刻として解釈される
+    }
+
+    if (!at || isNaN(at.getTime()) || at.getTime() <= Date.now()) return null;
+    return at;
+}
+
+/**
+ * 「日時を指定」の初期値（1時間後の正時か30分）
+ */
+function getDefaultPlannedTime() {
+    const at = new Date(Date.now() + 60 * 60 * 1000);
+    at.setMinutes(at.getMinutes() < 30 ? 30 : 60, 0, 0);
+    return at;
+}
+
+/**
+ * Date を datetime-local の入力値（YYYY-MM-DDTHH:mm）に変換
+ */
+function toDateTimeLocal(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Cuisine フィルターの表示/非表示を切り替え（レストランを選んでいないときは選択もリセット）
+ */
+function updateCuisineFilter() {
+    const cuisineGroup = document.getElementById('filter-group-cuisine');
+    if (AppState.filters.category.includes('restaurant')) {
+        cuisineGroup.style.display = '';
+    } else {
+        cuisineGroup.style.display = 'none';
+        AppState.filters.cuisine = [];
+        document.querySelectorAll(`[data-type="cuisine"]`).forEach(b => setFilterButtonActive(b, false));
+    }
+}
+
+/**
+ * フィルターをまとめて設定し、ボタンの選択状態も合わせる（共有リンクの復元用）
+ * 選択肢にない値は無視する
+ * @param {Object} filters - AppState.filters と同じキーの一部（複数選択のものは配列）
+ */
+function applyFilters(filters) {
+    Object.entries(filters).forEach(([type, value]) => {
+        if (type === 'when') {
+            // 日時の指定はボタンの選択肢にないため個別に確認する（過ぎた日時は今すぐとして扱う）
+            if (value === 'now' || getPlannedTime(value)) setWhenFilter(value);
+            return;
+        }
+
+        const buttons = [...document.querySelectorAll(`.filter-btn[data-type="${type}"]`)];
+        const values = (Array.isArray(value) ? value : [value])
+            .filter(v => buttons.some(b => b.dataset.value === v));
+        if (values.length === 0) return;
+
+        buttons.forEach(b => setFilterButtonActive(b, values.includes(b.dataset.value)));
+        AppState.filters[type] = Array.isArray(AppState.filters[type]) ? values : values[0];
+    });
+    updateCuisineFilter();
 }
 
 // --- 検索フロー ---
 
 /**
  * メイン検索処理
- * GPS取得 → Places API検索 → 結果表示
+ * 検索地点の決定（手動指定 or GPS） → Places API検索 → 結果表示
  */
 async function startSearch() {
     if (AppState.isSearching) return;
@@ -87,59 +220,840 @@ async function startSearch() {
     try {
         // 1. ローディング画面に遷移
         UI.showScreen('loading');
-        UI.setLoadingText('位置情報を取得中...');
 
-        // 2. GPS取得
-        AppState.currentLocation = await LocationService.getCurrentPosition();
-        UI.setLoadingText('近くのお店を検索中...');
+        // 2. 検索地点を決定（GPSが使えなければ地点選択画面へ）
+        const location = await resolveSearchLocation();
+        if (!location) return;
+        AppState.currentLocation = location;
+        await loadPlacePreferences();
+
+        // 3. 「いつ」の選択から基準日時を決める（指定した日時を過ぎていれば今すぐに戻す）
+        const plannedAt = getPlannedTime(AppState.filters.when);
+        if (!plannedAt && AppState.filters.when !== 'now') {
+            setWhenFilter('now');
+            UI.showToast(I18n.t('search.pastTime'));
+        }
+        UI.setLoadingText(plannedAt
+            ? I18n.t('search.searchingAt', { time: HoursParser.formatDateTime(plannedAt) })
+            : I18n.t('search.searching'));
 
-        // 3. Places API 検索（距離フィルター反映）
-        AppState.places = await PlacesService.searchNearby(
+        // 4. Places API 検索（0件なら範囲を広げて再検索）
+        const { places, step, widened } = await searchWithWidening(
             AppState.currentLocation,
-            AppState.filters
+            AppState.filters,
+            plannedAt
         );
+        setParticipantDistances(places);
+        AppState.places = PlacesService.sortPlaces(places, AppState.sortOrder);
+        AppState.searchRadius = parseInt(step.value);
 
-        // 4. 結果画面に遷移
+        // 5. 結果画面に遷移（続きのページはスクロールに合わせて読み込む）
+        //    表示されたカードから詳細を先読みし、営業状態を正確にする
+        DetailsPrefetch.reset(UI.applyPlaceDetails);
         UI.showScreen('results');
-        UI.renderResults(AppState.places);
+        UI.renderResults(AppState.places, {
+            onLoadMore: loadMoreResults,
+            selections: PlacesService.getSelectionLabels(),
+            onCardVisible: place => DetailsPrefetch.enqueue(place),
+            onCompare: openCompare
+        });
+        const notes = [];
+        if (plannedAt) {
+            notes.push(I18n.t('results.openAt', { time: HoursParser.formatDateTime(plannedAt) }));
+            // 確認の上限を超えた・取得できなかった店舗は、営業時間を確認できていないことを示す
+            const unchecked = places.filter(place => place.isOpen === null).length;
+            if (unchecked > 0) notes.push(I18n.t('results.hoursUnchecked', { count: unchecked }));
+        }
+        if (AppState.participants) {
+            const meeting = LocationService.findMeetingPoint(AppState.participants);
+            notes.push(I18n.t('group.maxWalk', { walk: LocationService.estimateWalkTime(meeting.maxDistance) }));
+        }
+        if (widened && places.length > 0) notes.push(I18n.t('results.widened', { range: I18n.t(step.labelKey) }));
+        UI.setResultsNote(notes.join(' · '));
+        if (widened && places.length > 0) {
+            UI.showToast(I18n.t('results.widenedToast', { range: I18n.t(step.labelKey) }));
+        }
+        UI.setLoadMoreState(PlacesService.hasMoreResults() ? 'idle' : 'done');
+        if (AppState.resultsView === 'map') {
+            renderMap();
+        }
+        saveLastSearch();
+        updateShareUrl(null);
 
     } catch (error) {
         console.error('検索エラー:', error);
-        UI.showToast(error.message || 'エラーが発生しました');
+        // 通信できない場合は前回の検索結果を表示
+        if (isOfflineError(error) && await showLastSearch()) return;
+        UI.showToast(error.message || I18n.t('common.error'));
         UI.showScreen('top');
     } finally {
         AppState.isSearching = false;
     }
 }
 
+/**
+ * 検索地点を決定
+ * 手動で指定した地点があればそれを使い、なければGPSで現在地を取得する
+ * GPSを取得できなかった場合は地点選択画面を開いて null を返す
+ * @returns {Promise<{lat: number, lng: number}|null>}
+ */
+async function resolveSearchLocation() {
+    if (AppState.manualLocation) {
+        return AppState.manualLocation;
+    }
+
+    UI.setLoadingText(I18n.t('search.locating'));
+    try {
+        return await LocationService.getCurrentPosition();
+    } catch (error) {
+        console.warn('現在地を取得できませんでした:', error);
+        openLocationPicker(I18n.t('search.pickLocation', { error: error.message }));
+        return null;
+    }
+}
+
+/**
+ * 指定範囲で検索し、0件なら次の段階まで範囲を広げて再検索
+ * @param {Date|null} plannedAt - この日時に営業しているお店を探す（null なら今）
+ * @returns {Promise<{places: Array, step: Object, widened: boolean}>}
+ */
+async function searchWithWidening(location, filters, plannedAt) {
+    const startIndex = Math.max(0, DISTANCE_STEPS.findIndex(s => s.value === filters.distance));
+
+    for (let i = startIndex; i < DISTANCE_STEPS.length; i++) {
+        const step = DISTANCE_STEPS[i];
+        if (i > startIndex) {
+            UI.setLoadingText(I18n.t('search.widening', { range: I18n.t(step.labelKey) }));
+        }
+
+        const places = applyPlacePreferences(
+            await PlacesService.searchNearby(location, { ...filters, distance: step.value }, plannedAt, { widened: i > startIndex })
+        );
+        if (places.length > 0 || i === DISTANCE_STEPS.length - 1) {
+            return { places, step, widened: i > startIndex };
+        }
+    }
+}
+
+/**
+ * 次ページを読み込み、新しい店舗だけを結果に差し込む
+ */
+async function loadMoreResults() {
+    if (AppState.isLoadingMore || AppState.isSearching || !PlacesService.hasMoreResults()) return;
+    AppState.isLoadingMore = true;
+    UI.setLoadMoreState('loading');
+
+    try {
+        const newPlaces = applyPlacePreferences(await PlacesService.loadMoreResults());
+        if (newPlaces.length > 0) {
+            setTrackedDistances(newPlaces);
+            setParticipantDistances(newPlaces);
+            AppState.places = PlacesService.sortPlaces([...AppState.places, ...newPlaces], AppState.sortOrder);
+            UI.syncResults(AppState.places);
+            MapView.addPlaces(newPlaces);
+            saveLastSearch();
+        }
+    } catch (error) {
+        console.error('追加読み込みエラー:', error);
+        UI.showToast(error.message || I18n.t('common.error'));
+    } finally {
+        AppState.isLoadingMore = false;
+        UI.setLoadMoreState(PlacesService.hasMoreResults() ? 'idle' : 'done');
+    }
+}
+
+// --- 現在地の追跡 ---
+
+/**
+ * 現在地の追跡を切り替える
+ */
+function toggleTracking() {
+    if (AppState.tracking) {
+        stopTracking();
+    } else {
+        startTracking();
+    }
+}
+
+/**
+ * 現在地の追跡を始め、歩くのに合わせて結果の距離を更新する
+ * 場所を指定して検索している場合は、検索地点からの距離のままにする
+ */
+function startTracking() {
+    if (AppState.manualLocation) {
+        UI.showToast(I18n.t('tracking.manualLocation'));
+        return;
+    }
+
+    AppState.tracking = { stop: null, position: null, measuredFrom: null };
+    UI.setTrackingState(true, null);
+    AppState.tracking.stop = LocationService.watchPosition(onTrackedPosition, (error) => {
+        console.warn('現在地の追跡に失敗:', error);
+        UI.showToast(error.message);
+        stopTracking();
+    });
+}
+
+function stopTracking() {
+    if (!AppState.tracking) return;
+    if (AppState.tracking.stop) AppState.tracking.stop();
+    AppState.tracking = null;
+    UI.setTrackingState(false);
+    MapView.setLivePosition(null);
+}
+
+/**
+ * 追跡中に現在地が更新されたとき
+ * @param {{lat: number, lng: number, accuracy: number}} position
+ */
+function onTrackedPosition(position) {
+    if (!AppState.tracking) return;
+    // 結果画面から離れたら止める
+    if (!UI.isScreenActive('results')) {
+        stopTracking();
+        return;
+    }
+
+    AppState.tracking.position = position;
+    UI.setTrackingState(true, position.accuracy);
+    MapView.setLivePosition(position);
+
+    const from = AppState.tracking.measuredFrom;
+    if (from && LocationService.calculateDistance(from.lat, from.lng, position.lat, position.lng) < TRACKING_MIN_MOVE_M) {
+        return;
+    }
+    AppState.tracking.measuredFrom = position;
+    // 歩くたびに徒歩ルートを問い合わせると課金・レート制限に響くため、検索地点からのルートで見積もる
+    setTrackedDistances(AppState.places);
+
+    if (AppState.sortOrder === 'nearest') {
+        AppState.places = PlacesService.sortPlaces(AppState.places, AppState.sortOrder);
+        UI.syncResults(AppState.places);
+    }
+    UI.updateDistances(AppState.places);
+}
+
+/**
+ * 追跡中の店舗の距離・所要時間を、最後に計算した現在地からの見積もりで上書き
+ * カード・モーダル・先読みが同じ店舗オブジェクトを参照しているため、新しいオブジェクトにはしない
+ * @param {Array} places
+ */
+function setTrackedDistances(places) {
+    const from = AppState.tracking && AppState.tracking.measuredFrom;
+    if (!from) return;
+    places.forEach(place => Object.assign(place, PlacesService.withEstimatedDistanceFrom(place, from)));
+}
+
+// --- みんなで集まる ---
+
+/**
+ * みんなで集まる画面を開く
+ */
+function openGroupMeetup() {
+    GroupMeetup.open({ onSearch: startGroupSearch, onShare: shareGroup });
+}
+
+/**
+ * 全員の場所から決めた中間地点で検索
+ * @param {Array<{lat: number, lng: number, label: string}>} participants - 2人以上
+ */
+function startGroupSearch(participants) {
+    setManualLocation(getMeetingLocation(participants), participants);
+    startSearch();
+}
+
+/**
+ * いちばん遠い人までの距離が最短になる地点を検索地点にする
+ * @returns {{lat: number, lng: number, label: string}}
+ */
+function getMeetingLocation(participants) {
+    const { lat, lng } = LocationService.findMeetingPoint(participants);
+    return { lat, lng, label: I18n.t('group.meetingPoint', { count: participants.length }) };
+}
+
+/**
+ * 各自の場所からの直線距離・徒歩時間を店舗に設定（カード・モーダルに人ごとに表示する）
+ * @param {Array} places
+ */
+function setParticipantDistances(places) {
+    if (!AppState.participants) return;
+    places.forEach(place => {
+        place.participantDistances = AppState.participants.map((participant, index) => {
+            const distance = LocationService.calculateDistance(participant.lat, participant.lng, place.lat, place.lng);
+            return {
+                name: GroupMeetup.participantName(index),
+                label: participant.label,
+                distance: distance,
+                distanceText: LocationService.formatDistance(distance),
+                walkTime: LocationService.estimateWalkTime(distance)
+            };
+        });
+    });
+}
+
+/**
+ * 集まる人の場所を入れた共有リンクを送る（受け取った人は自分の場所を足して検索できる）
+ * @param {Array} participants
+ */
+function shareGroup(participants) {
+    const url = DeepLink.build({ filters: AppState.filters, location: null, participants: participants });
+    UI.shareLink(I18n.t('group.shareTitle'), I18n.t('group.shareText', { count: participants.length }), url);
+}
+
+// --- おまかせルーレット ---
+
+/**
+ * 検索結果から1軒を選ぶルーレットを開き、決まったお店の詳細を表示
+ */
+function openRoulette() {
+    if (AppState.places.length === 0) {
+        UI.showToast(I18n.t('results.noRoulette'));
+        return;
+    }
+    Roulette.open(AppState.places, { onDecide: UI.openModal });
+}
+
+// --- 興味なし・ローテーション ---
+
+/**
+ * 非表示にしたお店と最近行ったお店を読み込む（読み込めなければ前回の内容のまま）
+ */
+async function loadPlacePreferences() {
+    try {
+        const [hiddenIds, recentVisitIds] = await Promise.all([
+            HiddenPlaces.getActiveIds(),
+            VisitLog.getRecentPlaceIds(ROTATION_DAYS)
+        ]);
+        AppState.hiddenIds = hiddenIds;
+        AppState.recentVisitIds = recentVisitIds;
+    } catch (error) {
+        console.warn('非表示・訪問の記録を読み込めませんでした:', error);
+    }
+}
+
+/**
+ * 非表示にしたお店を除き、ローテーションモードなら最近行ったお店に後ろへ回す印（rotatedOut）を付ける
+ * @param {Array} places
+ * @returns {Array} 非表示のお店を除いた新しい配列
+ */
+function applyPlacePreferences(places) {
+    const visible = places.filter(place => !AppState.hiddenIds.has(place.id));
+    visible.forEach(place => {
+        place.rotatedOut = AppState.rotation && AppState.recentVisitIds.has(place.id);
+    });
+    return visible;
+}
+
+/**
+ * お店を非表示にして、表示中の検索結果からも除く
+ * @param {Object} place
+ * @param {number|null} days - 非表示にする日数（null ならずっと）
+ */
+async function hidePlace(place, days) {
+    try {
+        await HiddenPlaces.hide(place, days);
+    } catch (error) {
+        console.error('非表示の保存エラー:', error);
+        UI.showToast(error.message || I18n.t('common.error'));
+        return;
+    }
+
+    UI.closeModal();
+    AppState.hiddenIds.add(place.id);
+    if (AppState.places.some(p => p.id === place.id)) {
+        AppState.places = AppState.places.filter(p => p.id !== place.id);
+        UI.syncResults(AppState.places);
+        if (AppState.resultsView === 'map') {
+            renderMap();
+        }
+        saveLastSearch();
+    }
+    UI.showToast(days
+        ? I18n.t('hide.doneDays', { name: place.name, days: days })
+        : I18n.t('hide.doneForever', { name: place.name }), 3000);
+}
+
+/**
+ * ローテーションモードの設定を読み込む
+ */
+function loadRotationSetting() {
+    try {
+        return localStorage.getItem(ROTATION_STORAGE_KEY) === 'on';
+    } catch (e) {
+        console.warn('ローテーションの設定を読み込めませんでした:', e);
+        return false;
+    }
+}
+
+/**
+ * ローテーションモードを切り替えて保存（次の検索から反映する）
+ * @param {boolean} enabled
+ */
+function setRotation(enabled) {
+    AppState.rotation = enabled;
+    try {
+        localStorage.setItem(ROTATION_STORAGE_KEY, enabled ? 'on' : 'off');
+    } catch (e) {
+        console.warn('ローテーションの設定を保存できませんでした:', e);
+    }
+}
+
+/**
+ * 設定画面を表示（非表示にしたお店を一覧し、元に戻せる）
+ */
+async function openSettings() {
+    UI.showScreen('settings');
+
+    let hidden = [];
+    try {
+        hidden = await HiddenPlaces.list();
+    } catch (error) {
+        console.error('非表示のお店の読み込みエラー:', error);
+        UI.showToast(error.message || I18n.t('common.error'));
+    }
+
+    UI.renderSettings({
+        rotation: AppState.rotation,
+        hidden: hidden,
+        onRestore: async (record) => {
+            try {
+                await HiddenPlaces.restore(record.id);
+                AppState.hiddenIds.delete(record.id);
+                UI.showToast(I18n.t('settings.restored', { name: record.name }), 2000);
+            } catch (error) {
+                console.error('非表示の取り消しエラー:', error);
+                UI.showToast(error.message || I18n.t('common.error'));
+            }
+            openSettings();
+        }
+    });
+}
+
+// --- 比較 ---
+
+/**
+ * 選んだお店を並べて比較し、店名をタップしたらそのお店の詳細を開く
+ * @param {Array} places - 2〜4軒
+ */
+function openCompare(places) {
+    CompareView.open(places, { onSelect: UI.openModal });
+}
+
+// --- オフライン ---
+
+/**
+ * 通信できないことによるエラーか
+ */
+function isOfflineError(error) {
+    return error.status === 'NETWORK_ERROR' || !navigator.onLine;
+}
+
+/**
+ * 表示中の検索結果をオフライン用に保存
+ */
+function saveLastSearch() {
+    OfflineCache.saveLastSearch({
+        location: AppState.currentLocation,
+        radius: AppState.searchRadius,
+        places: AppState.places
+    });
+}
+
+/**
+ * 保存済みの前回の検索結果を表示
+ * @returns {Promise<boolean>} 表示できた場合はtrue
+ */
+async function showLastSearch() {
+    const last = await OfflineCache.loadLastSearch();
+    if (!last || last.places.length === 0) return false;
+
+    // 営業状態は保存時点のものなので、営業時間が分かる店舗は判定し直す（日時を指定した検索の結果はその日時で）
+    await loadPlacePreferences();
+    const places = applyPlacePreferences(last.places).map(place => {
+        if (!place.schedule) return place;
+        const hoursStatus = PlacesService.getHoursStatus(place);
+        return { ...place, hoursStatus: hoursStatus, isOpen: hoursStatus.isOpen };
+    });
+
+    AppState.currentLocation = last.location;
+    AppState.searchRadius = last.radius;
+    AppState.places = PlacesService.sortPlaces(places, AppState.sortOrder);
+
+    const savedAt = new Date(last.savedAt);
+    const savedAtText = `${savedAt.getMonth() + 1}/${savedAt.getDate()} ${savedAt.getHours()}:${String(savedAt.getMinutes()).padStart(2, '0')}`;
+
+    // オフラインなので詳細の先読みはしない
+    DetailsPrefetch.reset(null);
+    UI.showScreen('results');
+    UI.renderResults(AppState.places, { onLoadMore: loadMoreResults, onCompare: openCompare });
+    UI.setResultsNote(I18n.t('results.lastSearch', { time: savedAtText }));
+    UI.setLoadMoreState('done');
+    if (AppState.resultsView === 'map') {
+        renderMap();
+    }
+    return true;
+}
+
+/**
+ * Service Worker を登録（アプリの骨組みをキャッシュしてオフラインでも起動できるようにする）
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.register('sw.js').catch(error => {
+        console.warn('Service Worker の登録に失敗しました:', error);
+    });
+}
+
+/**
+ * 取得済みの店舗を並び替え（APIは呼ばない）
+ * @param {string} order - 'recommended' / 'nearest' / 'leastCrowded' / 'cheapest'
+ */
+function changeSortOrder(order) {
+    AppState.sortOrder = order;
+    AppState.places = PlacesService.sortPlaces(AppState.places, order);
+    UI.syncResults(AppState.places);
+}
+
+// --- 検索地点の指定 ---
+
+/**
+ * 地点選択画面を開く
+ * @param {string} [message] - 画面上部に表示する案内
+ */
+function openLocationPicker(message) {
+    const initial = AppState.manualLocation ||
+        (AppState.currentLocation ? { ...AppState.currentLocation, label: I18n.t('favorites.lastPoint') } : null);
+
+    LocationPicker.open({
+        initial: initial,
+        message: message,
+        onConfirm: (point) => {
+            setManualLocation(point);
+            startSearch();
+        }
+    });
+}
+
+/**
+ * 手動の検索地点を設定（null で現在地に戻す）
+ * @param {{lat: number, lng: number, label: string}|null} point
+ * @param {Array|null} [participants] - みんなで集まる場合の各自の場所（point はその中間地点）
+ */
+function setManualLocation(point, participants = null, { shared = false } = {}) {
+    AppState.manualLocation = point;
+    AppState.participants = point ? participants : null;
+    AppState.sharedLocation = Boolean(point) && shared;
+    updateSearchPoint();
+}
+
+/**
+ * トップ画面の検索地点の表示（共有リンクの地点は次の検索に使わないので出さない）
+ */
+function updateSearchPoint() {
+    const point = AppState.sharedLocation ? null : AppState.manualLocation;
+    UI.setSearchPoint(point ? point.label : null);
+}
+
+/**
+ * トップ画面から検索（共有リンクの地点で表示していた場合は、自分の現在地に戻して探す）
+ */
+function searchFromTop() {
+    if (AppState.sharedLocation) setManualLocation(null);
+    startSearch();
+}
+
+// --- 共有リンク ---
+
+/**
+ * 表示中の検索条件・お店を URL に反映（そのまま共有リンクとして使える）
+ * 現在地（GPS）は共有した人の居場所が分かってしまうため入れない
+ * 場所を指定していなければ、開いているお店の場所を検索地点にする
+ * @param {Object|null} place - モーダルで開いているお店
+ */
+function updateShareUrl(place) {
+    const point = AppState.manualLocation || (place ? { lat: place.lat, lng: place.lng, label: place.name } : null);
+    DeepLink.replace({
+        filters: AppState.filters,
+        location: point,
+        label: point ? point.label : null,
+        placeId: place ? place.id : null,
+        participants: AppState.participants
+    });
+}
+
+/**
+ * 共有リンクから開いた場合、フィルターと検索地点を復元して検索し、お店を開く
+ * 集まる人の場所が入っていれば、その中間地点で検索する（1人分だけなら自分の場所を足せるよう画面を開く）
+ */
+async function restoreFromUrl() {
+    const link = DeepLink.parse();
+    if (!link) return;
+
+    applyFilters(link.filters);
+    if (link.participants.length > 0) {
+        const participants = GroupMeetup.setParticipants(link.participants);
+        if (participants.length < 2) {
+            openGroupMeetup();
+            return;
+        }
+        setManualLocation(getMeetingLocation(participants), participants);
+        await startSearch();
+    } else if (link.location) {
+        // 共有された地点は結果を表示している間だけ使い、トップ画面から検索し直すと自分の現在地で探す
+        setManualLocation(link.location, null, { shared: true });
+        await startSearch();
+    } else {
+        return;
+    }
+
+    if (link.placeId && UI.isScreenActive('results')) {
+        const place = AppState.places.find(p => p.id === link.placeId);
+        if (place) {
+            UI.openModal(place);
+        } else {
+            UI.showToast(I18n.t('results.sharedPlaceMissing'));
+        }
+    }
+}
+
+// --- お気に入り・履歴 ---
+
+/**
+ * お気に入り画面を表示
+ * 保存済みのデータですぐに描画し、現在地と営業時間を取得し直して更新する
+ */
+async function openFavorites() {
+    UI.showScreen('favorites');
+
+    let favorites = [];
+    let history = [];
+    try {
+        [favorites, history] = await Promise.all([Favorites.list(), Favorites.listHistory()]);
+    } catch (error) {
+        console.error('お気に入り読み込みエラー:', error);
+        UI.showToast(error.message || I18n.t('favorites.loadError'));
+    }
+
+    // 距離の基準（検索の中心 AppState.currentLocation は変更しない）
+    let origin = AppState.currentLocation;
+    let locationText = origin ? I18n.t('favorites.fromLastPoint') : '';
+    const render = () => {
+        UI.renderFavorites({
+            favorites: favorites.map(record => Favorites.toPlace(record, origin)),
+            history: history.map(record => Favorites.toPlace(record, origin)),
+            locationText: locationText
+        });
+    };
+
+    render();
+
+    // 現在地を取得し直して距離を更新
+    try {
+        origin = await LocationService.getCurrentPosition();
+        locationText = I18n.t('favorites.fromCurrent');
+        render();
+    } catch (error) {
+        console.warn('現在地を取得できませんでした:', error);
+    }
+
+    // 営業時間が古くなったお気に入りだけ、少しずつ取得し直して現在の営業状態を更新
+    const stale = favorites.filter(Favorites.isStale).slice(0, FAVORITES_REFRESH_LIMIT);
+    if (stale.length === 0) return;
+
+    const refreshed = new Map();
+    for (let i = 0; i < stale.length; i += FAVORITES_REFRESH_CONCURRENCY) {
+        const batch = stale.slice(i, i + FAVORITES_REFRESH_CONCURRENCY);
+        const updates = await Promise.all(batch.map(refreshFavorite));
+        updates.forEach(record => refreshed.set(record.id, record));
+    }
+    favorites = favorites.map(record => refreshed.get(record.id) || record);
+    if (UI.isScreenActive('favorites')) render();
+}
+
+/**
+ * お気に入りの営業時間を詳細から取得し直して保存
+ * @returns {Promise<Object>} 更新したスナップショット（取得できなければ元のまま）
+ */
+async function refreshFavorite(record) {
+    try {
+        const details = await PlacesService.getPlaceDetails(record.id);
+        if (!details || !details.openingHours) return record;
+        const updated = { ...record, weekdayText: details.openingHours.weekday_text };
+        await Favorites.updateSnapshot(updated);
+        return updated;
+    } catch (error) {
+        console.warn('お気に入りの営業時間の更新に失敗:', error);
+        return record;
+    }
+}
+
+// --- 地図表示 ---
+
+/**
+ * 結果画面のリスト / 地図を切り替え
+ * @param {string} view - 'list' または 'map'
+ */
+async function setResultsView(view) {
+    if (view === 'map' && !(await MapView.load())) {
+        UI.showToast(I18n.t('map.unavailable'));
+        return;
+    }
+
+    AppState.resultsView = view;
+    UI.showResultsView(view);
+    if (view === 'map') {
+        renderMap();
+    }
+}
+
+/**
+ * 検索の中心・検索範囲・店舗マーカーを地図に描画
+ */
+function renderMap() {
+    if (!AppState.currentLocation) return;
+    MapView.render({
+        center: AppState.currentLocation,
+        centerLabel: AppState.manualLocation ? AppState.manualLocation.label : I18n.t('map.currentLocation'),
+        radius: AppState.searchRadius,
+        places: AppState.places,
+        onSelect: UI.openModal
+    });
+}
+
+// --- 表示言語 ---
+
+/**
+ * 表示言語を切り替える（日本語 ⇔ 英語、選んだ言語は端末に保存される）
+ */
+function toggleLanguage() {
+    I18n.setLanguage(I18n.getLanguage() === 'ja' ? 'en' : 'ja');
+}
+
+/**
+ * 言語を切り替えたあと、JS で表示している文言を選んだ言語で表示し直す
+ * 店名・住所・営業時間は Places API が言語ごとに返すため、検索結果・お気に入りは取得し直す
+ */
+function onLanguageChange() {
+    if (AppState.participants) {
+        setManualLocation(getMeetingLocation(AppState.participants), AppState.participants);
+    }
+    updateSearchPoint();
+
+    if (UI.isScreenActive('results')) {
+        UI.closeModal();
+        startSearch();
+    } else if (UI.isScreenActive('favorites')) {
+        UI.closeModal();
+        openFavorites();
+    } else if (UI.isScreenActive('settings')) {
+        openSettings();
+    }
+}
+
 // --- イベント設定 ---
 
 function setupEvents() {
     // Let's Eat ボタン
-    document.getElementById('btn-lets-eat').addEventListener('click', startSearch);
+    document.getElementById('btn-lets-eat').addEventListener('click', searchFromTop);
 
     // 戻るボタン
     document.getElementById('btn-back').addEventListener('click', () => {
+        stopTracking();
+        UI.showScreen('top');
+    });
+
+    // 検索地点の指定
+    document.getElementById('btn-pick-location').addEventListener('click', () => openLocationPicker());
+    document.getElementById('btn-search-point-clear').addEventListener('click', () => setManualLocation(null));
+
+    // みんなで集まる
+    document.getElementById('btn-group').addEventListener('click', openGroupMeetup);
+
+    // お気に入り・履歴
+    document.getElementById('btn-favorites').addEventListener('click', openFavorites);
+    document.getElementById('btn-favorites-back').addEventListener('click', () => {
+        UI.showScreen('top');
+    });
+
+    // 行ったお店
+    document.getElementById('btn-visits').addEventListener('click', VisitHistory.open);
+
+    // 設定（ローテーション・非表示にしたお店）
+    document.getElementById('btn-settings').addEventListener('click', openSettings);
+    document.getElementById('btn-settings-back').addEventListener('click', () => {
         UI.showScreen('top');
     });
+    document.getElementById('setting-rotation').addEventListener('change', (e) => {
+        setRotation(e.target.checked);
+    });
+
+    // 表示言語
+    document.getElementById('btn-language').addEventListener('click', toggleLanguage);
 
     // 再検索ボタン
     document.getElementById('btn-refresh').addEventListener('click', startSearch);
 
+    // 並び順
+    document.getElementById('sort-order').addEventListener('change', (e) => {
+        changeSortOrder(e.target.value);
+    });
+
+    // おまかせルーレット
+    document.getElementById('btn-roulette').addEventListener('click', openRoulette);
+
+    // 現在地の追跡
+    document.getElementById('btn-tracking').addEventListener('click', toggleTracking);
+
+    // リスト / 地図 切り替え
+    document.querySelectorAll('.view-toggle-btn').forEach(btn => {
+        btn.addEventListener('click', () => setResultsView(btn.dataset.view));
+    });
+
     // リトライボタン（結果0件時）
     document.getElementById('btn-retry').addEventListener('click', () => {
+        stopTracking();
         UI.showScreen('top');
     });
 }
 
 // --- 初期化 ---
 
+// 店舗検索プロバイダー（?provider=fixture でオフラインのフィクスチャを使用）
+const PLACE_PROVIDERS = {
+    google: GooglePlacesProvider,
+    fixture: FixturePlacesProvider
+};
+
+/**
+ * URL パラメータ → CONFIG の順で使用するプロバイダーを決定
+ */
+function selectPlacesProvider() {
+    const name = new URLSearchParams(window.location.search).get('provider');
+    return PLACE_PROVIDERS[name] || PLACE_PROVIDERS[CONFIG.DEFAULT_PROVIDER];
+}
+
 /**
- * Google Maps API 読み込み完了時のコールバック
+ * アプリの初期化
  */
-function initApp() {
-    PlacesService.init();
+async function initApp() {
+    I18n.apply();
+    I18n.onChange(onLanguageChange);
+    AppState.rotation = loadRotationSetting();
     setupFilters();
     setupEvents();
-    console.log('Let\'s Eat 初期化完了 🍽️');
+    registerServiceWorker();
+
+    try {
+        await PlacesService.init(selectPlacesProvider());
+        console.log('Let\'s Eat 初期化完了 🍽️');
+        UI.onModalChange(updateShareUrl);
+        UI.onHide(hidePlace);
+        UI.onVisit(VisitHistory.openForm);
+        await restoreFromUrl();
+    } catch (error) {
+        console.error('初期化エラー:', error);
+        UI.showToast(error.message || I18n.t('common.initError'));
+    }
 }
+
+initApp();
@@ -0,0 +1,230 @@
+/**
+ * compare-view.js - お店の比較 モジュール
+ * 選んだ2〜4軒の評価・価格・距離・混雑・営業時間・喫煙・雰囲気を列に並べ、違いのある項目を強調する
+ */
+
+const CompareView = (() => {
+    // 比較する項目（表示名は I18n の compare.<id>）
+    //   value: 表示する文言（info は詳細から求めた値、取得前・取得失敗なら null）
+    //   score: いちばん良い値に印を付けるための数値（better: 'high' なら大きいほど、'low' なら小さいほど良い）
+    //   needsDetails: 詳細の取得を待って表示する項目
+    const ROWS = [
+        {
+            id: 'rating',
+            value: place => (place.rating
+                ? I18n.t('compare.ratingValue', { rating: place.rating.toFixed(1), count: place.ratingsTotal || 0 })
+                : I18n.t('card.unrated')),
+            score: place => place.rating || null,
+            better: 'high'
+        },
+        {
+            id: 'price',
+            value: place => PlacesService.formatPriceLevel(place.priceLevel) || I18n.t('compare.none'),
+            score: place => (typeof place.priceLevel === 'number' ? place.priceLevel : null),
+            better: 'low'
+        },
+        {
+            id: 'distance',
+            value: place => (place.distanceText
+                ? I18n.t('compare.distanceValue', { distance: place.distanceText, walk: place.walkTime })
+                : I18n.t('compare.none')),
+            score: place => (place.distanceText ? place.distance : null),
+            better: 'low'
+        },
+        {
+            id: 'congestion',
+            // レビューで強い傾向が見られた場合はそちらを優先（モーダルと同じ）
+            value: (place, info) => (info && info.summary.congestion
+                ? info.summary.congestion.label
+                : (place.congestion ? place.congestion.label : I18n.t('compare.none')))
+        },
+        {
+            id: 'hours',
+            value: (place, info) => formatHours(place, info)
+        },
+        {
+            id: 'smoking',
+            needsDetails: true,
+            value: (place, info) => (info && info.summary.smoking ? info.summary.smoking.label : I18n.t('compare.none'))
+        }
+    ];
+
+    const els = {
+        root: document.getElementById('compare'),
+        close: document.getElementById('btn-compare-close'),
+        table: document.getElementById('compare-table')
+    };
+
+    let places = [];
+    let selectHandler = null;
+    let openId = 0;
+
+    /**
+     * 比較を開き、詳細を取得して表を埋める
+     * @param {Array} selected - 比較する店舗（2〜4軒）
+     * @param {Object} options
+     * @param {Function} options.onSelect - 店名をタップしたときに店舗を受け取る（詳細を開く）
+     */
+    async function open(selected, { onSelect }) {
+        const id = ++openId;
+        places = selected;
+        selectHandler = onSelect;
+
+        // 先読み済みの詳細はすぐに使い、残りは取得を待つ
+        const cached = places.map(place => PlacesService.getCachedDetails(place.id));
+        render(cached.map(toInfo), cached.some(details => !details));
+
+        els.root.classList.remove('hidden');
+        Dialog.open(els.root, { onClose: close, initialFocus: els.close });
+
+        const detailsList = await Promise.all(places.map((place, index) => {
+            if (cached[index]) return cached[index];
+            return PlacesService.getPlaceDetails(place.id).catch(error => {
+                console.warn('比較用の詳細取得に失敗:', error);
+                return null;
+            });
+        }));
+        // 取得中に閉じた・開き直した場合は反映しない
+        if (id !== openId) return;
+        render(detailsList.map(toInfo), false);
+    }
+
+    function close() {
+        openId++;
+        els.root.classList.add('hidden');
+        Dialog.close(els.root);
+    }
+
+    function toInfo(details) {
+        return details ? { details: details, summary: PlacesService.summarizeDetails(details) } : null;
+    }
+
+    /**
+     * 営業状態と今日（日時を指定した検索ではその日）の営業時間
+     */
+    function formatHours(place, info) {
+        if (!info || !info.details.openingHours) {
+            if (place.isOpen === null || place.isOpen === undefined) return I18n.t('modal.hoursUnknown');
+            return I18n.t(place.isOpen ? 'modal.open' : 'modal.closed');
+        }
+        const status = HoursParser.formatStatus(PlacesService.getHoursStatus(place, info.details.schedule));
+        const dayText = HoursParser.getDayText(info.details.openingHours.weekday_text, PlacesService.getEvaluationTime(place));
+        return [status ? status.text : null, dayText].filter(Boolean).join(' / ');
+    }
+
+    /**
+     * 比較表を描画
+     * @param {Array<Object|null>} infos - 店舗ごとの詳細から求めた値
+     * @param {boolean} loading - 詳細を取得中か
+     */
+    function render(infos, loading) {
+        els.table.innerHTML = '';
+
+        // 見出し: 店名（タップで詳細）
+        const head = document.createElement('tr');
+        head.appendChild(document.createElement('td'));
+        places.forEach(place => {
+            const th = document.createElement('th');
+            th.scope = 'col';
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'compare-place';
+            button.textContent = place.name;
+            button.setAttribute('aria-label', I18n.t('compare.showDetail', { name: place.name }));
+            button.addEventListener('click', () => {
+                close();
+                if (selectHandler) selectHandler(place);
+            });
+            th.appendChild(button);
+            head.appendChild(th);
+        });
+        els.table.appendChild(head);
+
+        ROWS.forEach(row => {
+            const pending = loading && row.needsDetails;
+            const texts = places.map((place, index) => (pending && !infos[index]
+                ? I18n.t('compare.loading')
+                : row.value(place, infos[index])));
+            const best = pending ? [] : findBest(row);
+
+            const tr = createRow(row.id);
+            tr.classList.toggle('compare-diff', !pending && new Set(texts).size > 1);
+            texts.forEach((text, index) => {
+                const td = document.createElement('td');
+                td.textContent = text;
+                if (best.includes(index)) {
+                    td.classList.add('compare-best');
+                    const mark = document.createElement('span');
+                    mark.className = 'compare-best-mark';
+                    mark.textContent = ' ★';
+                    mark.setAttribute('aria-label', I18n.t('compare.best'));
+                    td.appendChild(mark);
+                }
+                tr.appendChild(td);
+            });
+            els.table.appendChild(tr);
+        });
+
+        els.table.appendChild(renderAtmosphereRow(infos, loading));
+    }
+
+    function createRow(id) {
+        const tr = document.createElement('tr');
+        const th = document.createElement('th');
+        th.scope = 'row';
+        th.textContent = I18n.t(`compare.${id}`);
+        tr.appendChild(th);
+        return tr;
+    }
+
+    /**
+     * いちばん良い値の列（全店同じ・比べられる値が1つ以下なら印を付けない）
+     * @returns {Array<number>} 列のインデックス
+     */
+    function findBest(row) {
+        if (!row.score) return [];
+        const scores = places.map(place => row.score(place));
+        const known = scores.filter(score => score !== null);
+        if (known.length < 2 || new Set(known).size === 1) return [];
+
+        const target = row.better === 'high' ? Math.max(...known) : Math.min(...known);
+        return scores.map((score, index) => (score === target ? index : -1)).filter(index => index !== -1);
+    }
+
+    /**
+     * 雰囲気の行（全店に共通しないタグを強調する）
+     */
+    function renderAtmosphereRow(infos, loading) {
+        const tr = createRow('atmosphere');
+        const tagLists = infos.map(info => (info ? info.summary.atmosphere : []));
+        const shared = tagLists.reduce((common, tags) => common.filter(tag => tags.includes(tag)));
+        let differs = false;
+
+        tagLists.forEach((tags, index) => {
+            const td = document.createElement('td');
+            if (tags.length === 0) {
+                td.textContent = loading && !infos[index] ? I18n.t('compare.loading') : I18n.t('compare.none');
+            }
+            tags.forEach(tag => {
+                const chip = document.createElement('span');
+                chip.className = 'compare-tag';
+                chip.classList.toggle('unique', !shared.includes(tag));
+                chip.textContent = tag;
+                td.appendChild(chip);
+            });
+            if (tags.length !== shared.length) differs = true;
+            tr.appendChild(td);
+        });
+
+        tr.classList.toggle('compare-diff', !loading && differs);
+        return tr;
+    }
+
+    // イベント設定
+    els.close.addEventListener('click', close);
+    els.root.querySelector('.modal-overlay').addEventListener('click', close);
+
+    return {
+        open
+    };
+})();
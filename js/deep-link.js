@@ -0,0 +1,105 @@
+/**
+ * deep-link.js - 共有リンク モジュール
+ * フィルター・検索地点・開いているお店・集まる人の場所を URL のクエリに入れ、読み込み時に復元する
+ */
+
+const DeepLink = (() => {
+    // URL に入れるフィルター（クエリ名 = AppState.filters のキー）
+    const FILTER_PARAMS = ['when', 'category', 'distance', 'budget', 'smoking', 'cuisine', 'amenity'];
+    // 複数選択のフィルター（カンマ区切りで1つのパラメータに入れる）
+    const MULTI_FILTER_PARAMS = ['category', 'budget', 'cuisine', 'amenity'];
+    // 共有リンク以外の用途のパラメータ（?provider=fixture など）は残す
+    const KEPT_PARAMS = ['provider'];
+    const COORD_DIGITS = 5;  // 約1m
+    // 集まる人の場所（"lat,lng,名前" を人数分くり返す）
+    const PARTICIPANT_PARAM = 'member';
+
+    /**
+     * 共有用の URL を生成
+     * @param {Object} state
+     * @param {Object} state.filters - AppState.filters
+     * @param {{lat: number, lng: number}|null} state.location - 検索地点
+     * @param {string|null} [state.label] - 手動で指定した地点名
+     * @param {string|null} [state.placeId] - 開いているお店
+     * @param {Array<{lat: number, lng: number, label: string}>|null} [state.participants] - 集まる人の場所
+     * @returns {string}
+     */
+    function build({ filters, location, label, placeId, participants }) {
+        const current = new URLSearchParams(window.location.search);
+        const params = new URLSearchParams();
+
+        KEPT_PARAMS.forEach(name => {
+            if (current.has(name)) params.set(name, current.get(name));
+        });
+        FILTER_PARAMS.forEach(name => {
+            const value = Array.isArray(filters[name]) ? filters[name].join(',') : filters[name];
+            if (value) params.set(name, value);
+        });
+        if (location) {
+            params.set('lat', location.lat.toFixed(COORD_DIGITS));
+            params.set('lng', location.lng.toFixed(COORD_DIGITS));
+            if (label) params.set('label', label);
+        }
+        if (placeId) {
+            params.set('place', placeId);
+        }
+        (participants || []).forEach(p => {
+            params.append(PARTICIPANT_PARAM, `${p.lat.toFixed(COORD_DIGITS)},${p.lng.toFixed(COORD_DIGITS)},${p.label}`);
+        });
+
+        const query = params.toString();
+        return `${window.location.origin}${window.location.pathname}${query ? `?${query}` : ''}`;
+    }
+
+    /**
+     * 現在の URL から共有リンクの内容を読み取る
+     * 値の妥当性（フィルターの選択肢にあるか）は呼び出し側で確認する
+     * @returns {{filters: Object, location: Object|null, placeId: string|null, participants: Array}|null} 共有リンクでなければ null
+     */
+    function parse() {
+        const params = new URLSearchParams(window.location.search);
+
+        const filters = {};
+        FILTER_PARAMS.forEach(name => {
+            const value = params.get(name);
+            if (!value) return;
+            filters[name] = MULTI_FILTER_PARAMS.includes(name) ? value.split(',') : value;
+        });
+
+        const lat = Number(params.get('lat'));
+        const lng = Number(params.get('lng'));
+        const hasLocation = params.has('lat') && params.has('lng') &&
+            Number.isFinite(lat) && Number.isFinite(lng) &&
+            Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+        const location = hasLocation
+            ? { lat: lat, lng: lng, label: params.get('label') || I18n.t('location.shared') }
+            : null;
+
+        const placeId = params.get('place') || null;
+
+        const participants = params.getAll(PARTICIPANT_PARAM)
+            .map(value => {
+                const [pLat, pLng, ...label] = value.split(',');
+                return { lat: Number(pLat), lng: Number(pLng), label: label.join(',') };
+            })
+            .filter(p => Number.isFinite(p.lat) && Number.isFinite(p.lng) && Math.abs(p.lat) <= 90 && Math.abs(p.lng) <= 180);
+
+        if (!location && !placeId && participants.length === 0 && Object.keys(filters).length === 0) {
+            return null;
+        }
+        return { filters, location, placeId, participants };
+    }
+
+    /**
+     * 履歴を増やさずに URL を更新
+     */
+    function replace(state) {
+        window.history.replaceState(null, '', build(state));
+    }
+
+    return {
+        build,
+        parse,
+        replace
+    };
+})();
@@ -0,0 +1,83 @@
+/**
+ * details-prefetch.js - 店舗詳細の先読みモジュール
+ * 画面に表示されたカードの詳細を1件ずつ間隔を空けて取得し、営業状態をカードに反映できるようにする
+ */
+
+const DetailsPrefetch = (() => {
+    // 1回の検索で先読みする上限（API呼び出しを増やしすぎない）
+    const MAX_PER_SEARCH = 8;
+    // リクエストの間隔
+    const INTERVAL_MS = 400;
+
+    let queue = [];
+    let queuedIds = new Set();
+    let requestedCount = 0;  // この検索で先読みを依頼した件数（キャッシュから通知したものは数えない）
+    let loadedHandler = null;
+    let generation = 0;
+    let running = false;
+
+    /**
+     * 新しい検索を始める（待ち行列を空にし、取得済みの詳細を受け取る処理を登録）
+     * @param {Function} onLoaded - (place, details) => void
+     */
+    function reset(onLoaded) {
+        generation++;
+        queue = [];
+        queuedIds = new Set();
+        requestedCount = 0;
+        loadedHandler = onLoaded;
+    }
+
+    /**
+     * 店舗を先読みの待ち行列に追加（キャッシュ済みならすぐに通知する）
+     * @param {Object} place
+     */
+    function enqueue(place) {
+        if (queuedIds.has(place.id)) return;
+
+        const cached = PlacesService.getCachedDetails(place.id);
+        if (cached) {
+            queuedIds.add(place.id);
+            if (loadedHandler) loadedHandler(place, cached);
+            return;
+        }
+
+        if (requestedCount >= MAX_PER_SEARCH) return;
+        requestedCount++;
+        queuedIds.add(place.id);
+        queue.push(place);
+        run();
+    }
+
+    /**
+     * 待ち行列を1件ずつ処理
+     */
+    async function run() {
+        if (running) return;
+        running = true;
+
+        while (queue.length > 0) {
+            const gen = generation;
+            const place = queue.shift();
+
+            try {
+                const details = await PlacesService.getPlaceDetails(place.id);
+                // 取得中に新しい検索が始まっていたら反映しない
+                if (details && gen === generation && loadedHandler) {
+                    loadedHandler(place, details);
+                }
+            } catch (e) {
+                console.warn('詳細の先読みに失敗:', e);
+            }
+
+            await new Promise(resolve => setTimeout(resolve, INTERVAL_MS));
+        }
+
+        running = false;
+    }
+
+    return {
+        reset,
+        enqueue
+    };
+})();
@@ -0,0 +1,132 @@
+/**
+ * dialog.js - ダイアログ（モーダル）の操作モジュール
+ * フォーカスの閉じ込めと復帰、Escape キー・端末の戻るボタンでの閉じる操作をまとめて扱う
+ */
+
+const Dialog = (() => {
+    const FOCUSABLE_SELECTOR = 'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])';
+
+    // 開いているダイアログ（最後に開いたものが最前面）
+    //   { root, onClose, returnFocus }
+    const stack = [];
+
+    // 戻るボタンで閉じるために追加した履歴があるか
+    let hasHistoryEntry = false;
+    // history.back() で履歴を戻したときの popstate を無視し、戻る前の URL を引き継ぐ
+    // （閉じたときにアプリ側で更新した共有リンクの URL を残すため）
+    let pendingBackUrl = null;
+
+    /**
+     * ダイアログを開いたことを登録し、中へフォーカスを移す
+     * @param {HTMLElement} root - ダイアログの要素（role="dialog" を持つもの）
+     * @param {Object} options
+     * @param {Function} options.onClose - Escape・戻るボタンで閉じるときに呼ばれる（ダイアログ側の閉じる処理）
+     * @param {HTMLElement} [options.initialFocus] - 最初にフォーカスする要素（省略時は最初の操作できる要素）
+     */
+    function open(root, { onClose, initialFocus }) {
+        const existing = stack.findIndex(entry => entry.root === root);
+        if (existing !== -1) {
+            // 開いたまま中身だけ切り替えた場合は、フォーカスの戻り先を変えない
+            stack[existing].onClose = onClose;
+        } else {
+            stack.push({ root, onClose, returnFocus: document.activeElement });
+        }
+
+        if (!hasHistoryEntry) {
+            window.history.pushState(window.history.state, '', window.location.href);
+            hasHistoryEntry = true;
+        }
+
+        const target = initialFocus || getFocusable(root)[0] || root;
+        target.focus();
+    }
+
+    /**
+     * ダイアログを閉じたことを登録し、開く前の要素へフォーカスを戻す
+     * （ダイアログ側の閉じる処理から呼ぶ）
+     * @param {HTMLElement} root
+     */
+    function close(root) {
+        const index = stack.findIndex(entry => entry.root === root);
+        if (index === -1) return;
+        const [entry] = stack.splice(index, 1);
+
+        if (entry.returnFocus && entry.returnFocus.isConnected && root.contains(document.activeElement)) {
+            entry.returnFocus.focus();
+        }
+
+        // 閉じてすぐ別のダイアログを開く場合（ルーレット → 詳細）は履歴をそのまま引き継ぐ
+        setTimeout(() => {
+            if (stack.length === 0 && hasHistoryEntry) {
+                hasHistoryEntry = false;
+                pendingBackUrl = window.location.href;
+                window.history.back();
+            }
+        }, 0);
+    }
+
+    /**
+     * ダイアログ内の操作できる要素（非表示のものを除く）
+     */
+    function getFocusable(root) {
+        return Array.from(root.querySelectorAll(FOCUSABLE_SELECTOR))
+            .filter(el => !el.disabled && !el.closest('.hidden') && el.style.display !== 'none');
+    }
+
+    function closeTop() {
+        const top = stack[stack.length - 1];
+        if (top) top.onClose();
+    }
+
+    // --- キーボード操作 ---
+    document.addEventListener('keydown', (e) => {
+        const top = stack[stack.length - 1];
+        if (!top) return;
+
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            closeTop();
+            return;
+        }
+
+        // Tab でダイアログの外へフォーカスが出ないように端で折り返す
+        if (e.key === 'Tab') {
+            const focusable = getFocusable(top.root);
+            if (focusable.length === 0) {
+                e.preventDefault();
+                return;
+            }
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+            const active = document.activeElement;
+            if (!top.root.contains(active)) {
+                e.preventDefault();
+                first.focus();
+            } else if (e.shiftKey && active === first) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && active === last) {
+                e.preventDefault();
+                first.focus();
+            }
+        }
+    });
+
+    // --- 端末の戻るボタン ---
+    window.addEventListener('popstate', () => {
+        if (pendingBackUrl) {
+            window.history.replaceState(window.history.state, '', pendingBackUrl);
+            pendingBackUrl = null;
+            return;
+        }
+        if (!hasHistoryEntry) return;
+        hasHistoryEntry = false;
+        // 履歴はすでに戻っているため、閉じたあとに history.back() しない
+        stack.slice().reverse().forEach(entry => entry.onClose());
+    });
+
+    return {
+        open,
+        close
+    };
+})();
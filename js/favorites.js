@@ -0,0 +1,127 @@
+/**
+ * favorites.js - お気に入り・最近見たお店 モジュール
+ * 店舗のスナップショットを端末内（IndexedDB）に保存する
+ */
+
+const Favorites = (() => {
+    const HISTORY_LIMIT = 20;
+    // 営業時間を取得し直すまでの期間（営業時間はめったに変わらない）
+    const SNAPSHOT_TTL_MS = 12 * 60 * 60 * 1000;
+
+    /**
+     * 保存用のスナップショットを作成（距離など場所に依存する値は保存しない）
+     */
+    function toRecord(place) {
+        return {
+            id: place.id,
+            name: place.name,
+            rating: place.rating,
+            ratingsTotal: place.ratingsTotal,
+            priceLevel: place.priceLevel,
+            address: place.address,
+            types: place.types,
+            lat: place.lat,
+            lng: place.lng,
+            photoUrl: place.photoUrl,
+            weekdayText: place.weekdayText || null
+        };
+    }
+
+    /**
+     * 保存済みのスナップショットを表示用の店舗に戻す
+     * 距離は現在地から、営業状態は保存済みの営業時間から計算し直す
+     * @param {Object} record
+     * @param {{lat: number, lng: number}|null} origin - 現在地（不明ならnull）
+     */
+    function toPlace(record, origin) {
+        const schedule = HoursParser.parseWeeklySchedule(record.weekdayText);
+        const hoursStatus = HoursParser.getStatus(schedule);
+        const place = {
+            ...record,
+            isOpen: hoursStatus ? hoursStatus.isOpen : null,
+            schedule: schedule,
+            hoursStatus: hoursStatus,
+            congestion: null,
+            distance: null,
+            distanceText: null,
+            walkTime: null,
+            taxiTime: null
+        };
+        return origin ? PlacesService.withDistanceFrom(place, origin) : place;
+    }
+
+    async function isFavorite(placeId) {
+        return !!(await AppDB.get('favorites', placeId));
+    }
+
+    /**
+     * お気に入りを切り替え
+     * @returns {Promise<boolean>} 切り替え後にお気に入りならtrue
+     */
+    async function toggle(place) {
+        if (await isFavorite(place.id)) {
+            await AppDB.remove('favorites', place.id);
+            return false;
+        }
+        await AppDB.put('favorites', { ...toRecord(place), savedAt: Date.now() });
+        return true;
+    }
+
+    /**
+     * お気に入り一覧（新しく追加した順）
+     */
+    async function list() {
+        const records = await AppDB.getAll('favorites');
+        return records.sort((a, b) => b.savedAt - a.savedAt);
+    }
+
+    /**
+     * 閲覧履歴に記録（古いものは HISTORY_LIMIT 件を超えたら削除）
+     */
+    async function recordView(place) {
+        await AppDB.put('history', { ...toRecord(place), viewedAt: Date.now() });
+
+        const records = await listHistory();
+        await Promise.all(records.slice(HISTORY_LIMIT).map(r => AppDB.remove('history', r.id)));
+    }
+
+    /**
+     * 閲覧履歴（新しい順）
+     */
+    async function listHistory() {
+        const records = await AppDB.getAll('history');
+        return records.sort((a, b) => b.viewedAt - a.viewedAt);
+    }
+
+    /**
+     * 詳細取得後に、保存済みのスナップショット（営業時間など）を更新
+     */
+    async function updateSnapshot(place) {
+        await Promise.all(['favorites', 'history'].map(async (storeName) => {
+            const record = await AppDB.get(storeName, place.id);
+            if (record) {
+                await AppDB.put(storeName, { ...record, ...toRecord(place), updatedAt: Date.now() });
+            }
+        }));
+    }
+
+    /**
+     * 営業時間を取得し直す必要があるか（一度も詳細で更新していない・更新から時間が経った）
+     * @param {Object} record
+     * @returns {boolean}
+     */
+    function isStale(record) {
+        return !record.updatedAt || Date.now() - record.updatedAt > SNAPSHOT_TTL_MS;
+    }
+
+    return {
+        toPlace,
+        isFavorite,
+        toggle,
+        list,
+        recordView,
+        listHistory,
+        updateSnapshot,
+        isStale
+    };
+})();
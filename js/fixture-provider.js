@@ -0,0 +1,158 @@
+/**
+ * fixture-provider.js - ローカル JSON フィクスチャのプロバイダー
+ * APIキーやネットワークなしで検索・詳細・写真の流れを再現する（?provider=fixture）
+ */
+
+const FixturePlacesProvider = (() => {
+    const FIXTURE_URL = 'fixtures/places.json';
+    const LATENCY_MS = 300; // ローディング表示を確認できる程度の疑似遅延
+    const PAGE_SIZE = 20;   // Places API と同じ1ページあたりの件数
+    const WALK_M_PER_MIN = 75;  // 徒歩ルートの所要時間（信号待ちを含めた分速）
+
+    let fixture = null;
+
+    /**
+     * フィクスチャを読み込む
+     * @returns {Promise<void>}
+     */
+    async function init() {
+        const response = await fetch(FIXTURE_URL);
+        if (!response.ok) {
+            throw new Error(`フィクスチャを読み込めませんでした（${response.status}）`);
+        }
+        fixture = await response.json();
+    }
+
+    /**
+     * 周辺検索
+     * フィクスチャの店舗は origin を基準に配置されており、検索地点へ平行移動して返す
+     * pageToken は次ページの開始位置（同じ検索条件と一緒に渡される）
+     * @param {Object} request - { location: {lat, lng}, radius, type, keyword, openNow, language, pageToken }
+     * @returns {Promise<{status: string, results: Array, nextPageToken: string|null}>}
+     */
+    async function nearbySearch(request) {
+        await delay(LATENCY_MS);
+
+        const dLat = request.location.lat - fixture.origin.lat;
+        const dLng = request.location.lng - fixture.origin.lng;
+        const keywords = request.keyword ? request.keyword.split(/\s+/) : [];
+
+        const results = fixture.results
+            .map(place => ({
+                ...place,
+                geometry: {
+                    location: {
+                        lat: place.geometry.location.lat + dLat,
+                        lng: place.geometry.location.lng + dLng
+                    }
+                }
+            }))
+            .filter(place => !request.type || place.types.includes(request.type))
+            .filter(place => keywords.every(keyword => matchesKeyword(place, keyword)))
+            .filter(place => !request.openNow || !place.opening_hours || place.opening_hours.open_now !== false)
+            .filter(place => {
+                const { lat, lng } = place.geometry.location;
+                const distance = LocationService.calculateDistance(request.location.lat, request.location.lng, lat, lng);
+                return distance <= request.radius;
+            });
+
+        const offset = parseInt(request.pageToken) || 0;
+        const page = results.slice(offset, offset + PAGE_SIZE);
+        const hasNext = offset + PAGE_SIZE < results.length;
+
+        return {
+            status: page.length > 0 ? 'OK' : 'ZERO_RESULTS',
+            results: page,
+            nextPageToken: hasNext ? String(offset + PAGE_SIZE) : null
+        };
+    }
+
+    /**
+     * 店舗詳細
+     * @param {Object} request - { placeId, fields, language }
+     * @returns {Promise<{status: string, result: Object|null}>}
+     */
+    async function getDetails(request) {
+        await delay(LATENCY_MS);
+
+        const result = fixture.details[request.placeId];
+        if (!result) {
+            return { status: 'NOT_FOUND', result: null };
+        }
+        return { status: 'OK', result: result };
+    }
+
+    /**
+     * 駅名・住所から座標を検索（フィクスチャの geocode 一覧から別名で照合）
+     * @param {Object} request - { address, language }
+     * @returns {Promise<{status: string, results: Array}>}
+     */
+    async function geocode(request) {
+        await delay(LATENCY_MS);
+
+        const query = request.address.trim().toLowerCase();
+        const results = fixture.geocode.filter(entry =>
+            entry.formatted_address.includes(request.address.trim()) ||
+            entry.aliases.some(alias => query.includes(alias.toLowerCase()))
+        );
+
+        return {
+            status: results.length > 0 ? 'OK' : 'ZERO_RESULTS',
+            results: results
+        };
+    }
+
+    /**
+     * 徒歩ルートの距離・所要時間
+     * 碁盤の目の道を歩く想定で、南北・東西の移動距離の和をルートの距離にする
+     * @param {Object} request - { origin: {lat, lng}, destinations: [{lat, lng}], language }
+     * @returns {Promise<{status: string, elements: Array}>}
+     */
+    async function walkingDistances(request) {
+        await delay(LATENCY_MS);
+
+        const { origin } = request;
+        const elements = request.destinations.map(point => {
+            const distance = Math.round(
+                LocationService.calculateDistance(origin.lat, origin.lng, point.lat, origin.lng) +
+                LocationService.calculateDistance(point.lat, origin.lng, point.lat, point.lng)
+            );
+            return {
+                status: 'OK',
+                distance: { value: distance },
+                duration: { value: Math.round(distance / WALK_M_PER_MIN * 60) }
+            };
+        });
+
+        return { status: 'OK', elements: elements };
+    }
+
+    /**
+     * 写真URLを取得（フィクスチャの photo は { url } を持つ）
+     */
+    function getPhotoUrl(photo) {
+        return photo && photo.url ? photo.url : null;
+    }
+
+    /**
+     * 店名・タイプ・フィクスチャ用キーワードのいずれかに一致するか
+     */
+    function matchesKeyword(place, keyword) {
+        return place.name.includes(keyword) ||
+            place.types.includes(keyword) ||
+            (place.keywords || []).includes(keyword);
+    }
+
+    function delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    return {
+        init,
+        nearbySearch,
+        getDetails,
+        geocode,
+        walkingDistances,
+        getPhotoUrl
+    };
+})();
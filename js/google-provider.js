@@ -0,0 +1,135 @@
+/**
+ * google-provider.js - Google Places プロバイダー
+ * 自前のサーバーレスAPI（/api/places/*）経由で Places API を呼び出す
+ * APIキーはサーバー側の環境変数にのみ保持し、ブラウザには置かない
+ */
+
+const GooglePlacesProvider = (() => {
+    /**
+     * 初期化（SDK の読み込みは不要）
+     * @returns {Promise<void>}
+     */
+    async function init() {}
+
+    /**
+     * 周辺検索
+     * @param {Object} request - { location: {lat, lng}, radius, type, keyword, openNow, language, pageToken }
+     * @returns {Promise<{status: string, results: Array, nextPageToken: string|null}>}
+     */
+    async function nearbySearch(request) {
+        const params = request.pageToken ? { pagetoken: request.pageToken } : {
+            lat: request.location.lat,
+            lng: request.location.lng,
+            radius: request.radius,
+            type: request.type,
+            keyword: request.keyword,
+            opennow: request.openNow ? 'true' : undefined,
+            language: request.language
+        };
+        const body = await getJson('nearby', params);
+
+        return {
+            status: body.status,
+            results: body.results || [],
+            nextPageToken: body.next_page_token || null
+        };
+    }
+
+    /**
+     * 店舗詳細
+     * @param {Object} request - { placeId, fields, language }
+     * @returns {Promise<{status: string, result: Object|null}>}
+     */
+    async function getDetails(request) {
+        const body = await getJson('details', {
+            place_id: request.placeId,
+            fields: request.fields.join(','),
+            language: request.language
+        });
+
+        return {
+            status: body.status,
+            result: body.result || null
+        };
+    }
+
+    /**
+     * 駅名・住所から座標を検索
+     * @param {Object} request - { address, language }
+     * @returns {Promise<{status: string, results: Array}>}
+     */
+    async function geocode(request) {
+        const body = await getJson('geocode', {
+            address: request.address,
+            language: request.language
+        });
+
+        return {
+            status: body.status,
+            results: body.results || []
+        };
+    }
+
+    /**
+     * 徒歩ルートの距離・所要時間（Distance Matrix、目的地は最大25件）
+     * @param {Object} request - { origin: {lat, lng}, destinations: [{lat, lng}], language }
+     * @returns {Promise<{status: string, elements: Array}>} elements は destinations と同じ順
+     */
+    async function walkingDistances(request) {
+        const body = await getJson('distance', {
+            origin_lat: request.origin.lat,
+            origin_lng: request.origin.lng,
+            destinations: request.destinations.map(point => `${point.lat},${point.lng}`).join('|'),
+            language: request.language
+        });
+
+        return {
+            status: body.status,
+            elements: body.rows && body.rows[0] ? body.rows[0].elements : []
+        };
+    }
+
+    /**
+     * 写真URLを取得（photo は Places の photos[] 要素）
+     */
+    function getPhotoUrl(photo, options) {
+        if (!photo || !photo.photo_reference) return null;
+        return buildUrl('photo', {
+            ref: photo.photo_reference,
+            maxwidth: options.maxWidth,
+            maxheight: options.maxHeight
+        });
+    }
+
+    /**
+     * プロキシの JSON を取得（通信失敗は NETWORK_ERROR ステータスとして返す）
+     */
+    async function getJson(route, params) {
+        try {
+            const response = await fetch(buildUrl(route, params));
+            return await response.json();
+        } catch (error) {
+            console.warn('プロキシ通信エラー:', route, error);
+            return { status: 'NETWORK_ERROR' };
+        }
+    }
+
+    function buildUrl(route, params) {
+        const query = new URLSearchParams();
+        Object.keys(params).forEach(name => {
+            if (params[name] !== undefined && params[name] !== null && params[name] !== '') {
+                query.set(name, params[name]);
+            }
+        });
+        return `${CONFIG.API_BASE}/${route}?${query.toString()}`;
+    }
+
+    return {
+        init,
+        nearbySearch,
+        getDetails,
+        geocode,
+        walkingDistances,
+        getPhotoUrl
+    };
+})();
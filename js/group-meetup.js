@@ -0,0 +1,179 @@
+/**
+ * group-meetup.js - みんなで集まる モジュール
+ * 集まる人の場所（手動で指定・現在地・共有リンク）を集め、いちばん遠い人の徒歩が最短になる地点で検索する
+ */
+
+const GroupMeetup = (() => {
+    // 中間地点を決めるのに必要な人数と、追加できる上限
+    const MIN_PARTICIPANTS = 2;
+    const MAX_PARTICIPANTS = 8;
+
+    const els = {
+        back: document.getElementById('btn-group-back'),
+        list: document.getElementById('group-participants'),
+        empty: document.getElementById('group-empty'),
+        info: document.getElementById('group-info'),
+        add: document.getElementById('btn-group-add'),
+        addCurrent: document.getElementById('btn-group-add-current'),
+        share: document.getElementById('btn-group-share'),
+        search: document.getElementById('btn-group-search')
+    };
+
+    // 集まる人の場所 { lat, lng, label }（追加した順、名前は順番で A, B, C...）
+    let participants = [];
+    let searchHandler = null;
+    let shareHandler = null;
+
+    /**
+     * みんなで集まる画面を開く
+     * @param {Object} options
+     * @param {Function} options.onSearch - 「この中間地点で探す」で参加者の配列を受け取る
+     * @param {Function} options.onShare - 「共有」で参加者の配列を受け取る
+     */
+    function open({ onSearch, onShare }) {
+        searchHandler = onSearch;
+        shareHandler = onShare;
+        show();
+    }
+
+    function show() {
+        render();
+        UI.showScreen('group');
+    }
+
+    /**
+     * 参加者をまとめて設定（共有リンクの復元用、上限を超えた分は無視する）
+     * @param {Array<{lat: number, lng: number, label: string}>} list
+     * @returns {Array} 設定した参加者（コピー）
+     */
+    function setParticipants(list) {
+        participants = list.slice(0, MAX_PARTICIPANTS).map((p, i) => ({
+            lat: p.lat,
+            lng: p.lng,
+            label: p.label || participantName(i)
+        }));
+        return participants.slice();
+    }
+
+    /**
+     * 参加者の表示名（追加した順に A, B, C...）
+     * @param {number} index
+     * @returns {string}
+     */
+    function participantName(index) {
+        return String.fromCharCode(65 + index);
+    }
+
+    /**
+     * 参加者を追加して一覧を更新
+     */
+    function addParticipant(point) {
+        if (participants.length >= MAX_PARTICIPANTS) {
+            UI.showToast(I18n.t('group.full', { max: MAX_PARTICIPANTS }));
+            return;
+        }
+        participants.push({ lat: point.lat, lng: point.lng, label: point.label });
+        render();
+    }
+
+    /**
+     * 地点選択画面で場所を指定して追加
+     */
+    function pickParticipant() {
+        if (participants.length >= MAX_PARTICIPANTS) {
+            UI.showToast(I18n.t('group.full', { max: MAX_PARTICIPANTS }));
+            return;
+        }
+        LocationPicker.open({
+            initial: null,
+            message: I18n.t('group.pickMessage', { name: participantName(participants.length) }),
+            confirmLabel: I18n.t('group.addConfirm'),
+            onConfirm: (point) => {
+                addParticipant(point);
+                show();
+            },
+            onCancel: show
+        });
+    }
+
+    /**
+     * この端末の現在地を追加
+     */
+    async function addCurrentLocation() {
+        els.addCurrent.disabled = true;
+        try {
+            const position = await LocationService.getCurrentPosition();
+            addParticipant({ lat: position.lat, lng: position.lng, label: I18n.t('group.myLocation') });
+        } catch (error) {
+            console.warn('現在地を取得できませんでした:', error);
+            UI.showToast(error.message);
+        } finally {
+            els.addCurrent.disabled = false;
+        }
+    }
+
+    /**
+     * 参加者の一覧・中間地点までの距離・ボタンの状態を更新
+     */
+    function render() {
+        els.list.innerHTML = '';
+        participants.forEach((participant, index) => {
+            const name = participantName(index);
+            const item = document.createElement('li');
+            item.className = 'group-participant';
+
+            const nameEl = document.createElement('span');
+            nameEl.className = 'group-participant-name';
+            nameEl.textContent = name;
+
+            const labelEl = document.createElement('span');
+            labelEl.className = 'group-participant-label';
+            labelEl.textContent = participant.label;
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'btn-icon group-participant-remove';
+            remove.textContent = '×';
+            remove.setAttribute('aria-label', I18n.t('group.remove', { name: name, label: participant.label }));
+            remove.addEventListener('click', () => {
+                participants.splice(index, 1);
+                render();
+                els.add.focus();
+            });
+
+            item.append(nameEl, labelEl, remove);
+            els.list.appendChild(item);
+        });
+
+        const ready = participants.length >= MIN_PARTICIPANTS;
+        els.empty.classList.toggle('hidden', participants.length > 0);
+        els.search.disabled = !ready;
+        els.share.disabled = participants.length === 0;
+        if (ready) {
+            const meeting = LocationService.findMeetingPoint(participants);
+            els.info.textContent = I18n.t('group.maxWalk', { walk: LocationService.estimateWalkTime(meeting.maxDistance) });
+        } else {
+            els.info.textContent = I18n.t('group.needMore', { count: MIN_PARTICIPANTS - participants.length });
+        }
+    }
+
+    // イベント設定
+    els.back.addEventListener('click', () => UI.showScreen('top'));
+    els.add.addEventListener('click', pickParticipant);
+    els.addCurrent.addEventListener('click', addCurrentLocation);
+    els.share.addEventListener('click', () => {
+        if (shareHandler) shareHandler(participants.slice());
+    });
+    els.search.addEventListener('click', () => {
+        if (searchHandler && participants.length >= MIN_PARTICIPANTS) searchHandler(participants.slice());
+    });
+    I18n.onChange(() => {
+        if (UI.isScreenActive('group')) render();
+    });
+
+    return {
+        open,
+        setParticipants,
+        participantName
+    };
+})();
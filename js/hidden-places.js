@@ -0,0 +1,61 @@
+/**
+ * hidden-places.js - 興味のないお店 モジュール
+ * 非表示にしたお店（ずっと・日数を指定）を端末内（IndexedDB）に保存し、検索結果から除く
+ */
+
+const HiddenPlaces = (() => {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    /**
+     * お店を非表示にする
+     * @param {Object} place
+     * @param {number|null} days - 非表示にする日数（null ならずっと）
+     */
+    async function hide(place, days) {
+        const now = Date.now();
+        await AppDB.put('hidden', {
+            id: place.id,
+            name: place.name,
+            address: place.address || '',
+            hiddenAt: now,
+            until: days ? now + days * DAY_MS : null
+        });
+    }
+
+    /**
+     * 非表示を取り消す
+     * @param {string} placeId
+     */
+    async function restore(placeId) {
+        await AppDB.remove('hidden', placeId);
+    }
+
+    /**
+     * 非表示中のお店（期限の過ぎたものは削除する、新しく非表示にした順）
+     * @returns {Promise<Array<{id: string, name: string, address: string, hiddenAt: number, until: number|null}>>}
+     */
+    async function list() {
+        const now = Date.now();
+        const records = await AppDB.getAll('hidden');
+        const expired = records.filter(record => record.until !== null && record.until <= now);
+        await Promise.all(expired.map(record => AppDB.remove('hidden', record.id)));
+        return records
+            .filter(record => !expired.includes(record))
+            .sort((a, b) => b.hiddenAt - a.hiddenAt);
+    }
+
+    /**
+     * 非表示中のお店の ID
+     * @returns {Promise<Set<string>>}
+     */
+    async function getActiveIds() {
+        return new Set((await list()).map(record => record.id));
+    }
+
+    return {
+        hide,
+        restore,
+        list,
+        getActiveIds
+    };
+})();
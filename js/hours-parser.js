@@ -3,110 +3,310 @@
  */
 
 const HoursParser = {
+    MINUTES_PER_DAY: 24 * 60,
+    MINUTES_PER_WEEK: 7 * 24 * 60,
+    CLOSING_SOON_MINUTES: 30,
+
     /**
-     * weekday_text から現在営業中かを判定
-     * @param {Array<string>} weekdayText - ["月曜日: 7時00分～20時00分", ...]
-     * @returns {boolean} 営業中ならtrue
+     * weekday_text（7行）を週間スケジュールに変換
+     * 時刻はすべて「月曜 0:00 からの経過分」で表す（深夜営業は翌日にまたがる区間になる）
+     * @param {Array<string>} weekdayText - ["月曜日: 11時30分～14時00分, 17時00分～22時00分", ...]
+     * @returns {{ days: Array<string|null>, intervals: Array<{start: number, end: number}>, alwaysOpen: boolean }|null}
+     *   days は曜日ごとの 'open' / 'closed' / null（解析不可）
      */
-    isCurrentlyOpen(weekdayText) {
+    parseWeeklySchedule(weekdayText) {
         if (!weekdayText || weekdayText.length === 0) {
             return null; // 営業時間情報なし
         }
 
-        const now = new Date();
-        const dayOfWeek = now.getDay(); // 0=日, 1=月, ..., 6=土
-        const currentHour = now.getHours();
-        const currentMinute = now.getMinutes();
-        const currentTimeInMinutes = currentHour * 60 + currentMinute;
+        const days = [];
+        const intervals = [];
 
         // Google の weekday_text は月曜始まり (0=月, 6=日)
-        const googleDayIndex = dayOfWeek === 0 ? 6 : dayOfWeek - 1;
-        const todayText = weekdayText[googleDayIndex];
+        for (let day = 0; day < 7; day++) {
+            const parsed = this.parseDayText(weekdayText[day]);
+            if (!parsed) {
+                days.push(null);
+                continue;
+            }
+
+            days.push(parsed.ranges.length > 0 ? 'open' : 'closed');
+            const dayStart = day * this.MINUTES_PER_DAY;
+            parsed.ranges.forEach(({ open, close }) => {
+                intervals.push({ start: dayStart + open, end: dayStart + close });
+            });
+        }
 
-        if (!todayText) {
+        if (days.every(d => d === null)) {
             return null;
         }
 
-        // "定休日" チェック
-        if (todayText.includes('定休日') || todayText.includes('休業日')) {
-            return false;
+        const merged = this.mergeIntervals(intervals);
+        const alwaysOpen = merged.length === 1 &&
+            merged[0].start === 0 && merged[0].end >= this.MINUTES_PER_WEEK;
+
+        return { days, intervals: merged, alwaysOpen };
+    },
+
+    /**
+     * 1日分の行を解析（日本語・英語の weekday_text に対応）
+     * @param {string} text - "金曜日: 18時00分～2時00分" / "Friday: 6:00 PM – 2:00 AM"
+     * @returns {{ ranges: Array<{open: number, close: number}> }|null} 定休日は空配列、解析不可はnull
+     */
+    parseDayText(text) {
+        if (!text) {
+            return null;
         }
 
-        // "24 時間営業" チェック
-        if (todayText.includes('24 時間営業') || todayText.includes('24時間営業')) {
-            return true;
+        // "定休日" / "Closed" チェック
+        if (text.includes('定休日') || text.includes('休業日') || /\bclosed\b/i.test(text)) {
+            return { ranges: [] };
         }
 
-        // 時間範囲を抽出（例: "7時00分～20時00分"）
-        const timeRangeMatch = todayText.match(/(\d{1,2})時(\d{2})分?[～〜~-](\d{1,2})時(\d{2})分?/);
+        // "24 時間営業" / "Open 24 hours" チェック
+        if (text.includes('24 時間営業') || text.includes('24時間営業') || /\bopen 24 hours\b/i.test(text)) {
+            return { ranges: [{ open: 0, close: this.MINUTES_PER_DAY }] };
+        }
 
-        if (timeRangeMatch) {
-            const openHour = parseInt(timeRangeMatch[1]);
-            const openMinute = parseInt(timeRangeMatch[2]);
-            const closeHour = parseInt(timeRangeMatch[3]);
-            const closeMinute = parseInt(timeRangeMatch[4]);
+        // 時間範囲をすべて抽出（例: "11時30分～14時00分, 17時00分～22時00分"）
+        const ranges = [];
+        const pattern = /(\d{1,2})時(\d{2})分?[～〜~-](\d{1,2})時(\d{2})分?/g;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            const open = parseInt(match[1]) * 60 + parseInt(match[2]);
+            const close = parseInt(match[3]) * 60 + parseInt(match[4]);
+            ranges.push(this.toRange(open, close));
+        }
 
-            const openTimeInMinutes = openHour * 60 + openMinute;
-            let closeTimeInMinutes = closeHour * 60 + closeMinute;
+        // 英語の時間範囲（例: "11:00 AM – 2:30 PM, 5:00 – 10:00 PM"、24時間表記の "11:00 – 14:00"）
+        // 開店時刻の AM/PM が省略されている場合は閉店時刻と同じとみなす
+        const enPattern = /(\d{1,2}):(\d{2})\s*([AP]M)?\s*[–—～〜~-]\s*(\d{1,2}):(\d{2})\s*([AP]M)?/gi;
+        while ((match = enPattern.exec(text)) !== null) {
+            const closeMeridiem = match[6];
+            const close = this.toMinutes(match[4], match[5], closeMeridiem);
+            let open = this.toMinutes(match[1], match[2], match[3] || closeMeridiem);
 
-            // 深夜営業の場合（例: 18:00～2:00）
-            if (closeTimeInMinutes < openTimeInMinutes) {
-                closeTimeInMinutes += 24 * 60; // 翌日扱い
-                if (currentTimeInMinutes < openTimeInMinutes) {
-                    // 深夜帯（0時～閉店時間）
-                    return currentTimeInMinutes <= (closeTimeInMinutes - 24 * 60);
-                }
+            // "11:30 – 2:00 PM" のように、同じとみなすと閉店より後になる場合は午前
+            if (!match[3] && closeMeridiem && open > close) {
+                open = this.toMinutes(match[1], match[2], 'AM');
             }
-
-            return currentTimeInMinutes >= openTimeInMinutes && currentTimeInMinutes <= closeTimeInMinutes;
+            ranges.push(this.toRange(open, close));
         }
 
         // 解析できない場合はnull（不明）
-        return null;
+        return ranges.length > 0 ? { ranges } : null;
     },
 
     /**
-     * レビューから混雑度を推定
-     * @param {Array} reviews - Place Details のレビュー配列
-     * @returns {string|null} 'crowded', 'moderate', 'empty', null
+     * 開店・閉店時刻（0:00 からの分）を区間に変換
+     * 深夜営業の場合（例: 18:00～2:00）は翌日扱い
      */
-    estimateCongestionFromReviews(reviews) {
-        if (!reviews || reviews.length === 0) {
+    toRange(open, close) {
+        return { open, close: close <= open ? close + this.MINUTES_PER_DAY : close };
+    },
+
+    /**
+     * 時・分・AM/PM を 0:00 からの分に変換（AM/PM がなければ24時間表記）
+     */
+    toMinutes(hours, minutes, meridiem) {
+        let h = parseInt(hours);
+        if (meridiem) {
+            h = h % 12 + (meridiem.toUpperCase() === 'PM' ? 12 : 0);
+        }
+        return h * 60 + parseInt(minutes);
+    },
+
+    /**
+     * 連続・重複する区間を結合（日曜深夜 → 月曜早朝の折り返しも結合する）
+     */
+    mergeIntervals(intervals) {
+        const sorted = intervals
+            .map(i => ({ ...i }))
+            .sort((a, b) => a.start - b.start);
+
+        const merged = [];
+        for (const interval of sorted) {
+            const last = merged[merged.length - 1];
+            if (last && interval.start <= last.end) {
+                last.end = Math.max(last.end, interval.end);
+            } else {
+                merged.push(interval);
+            }
+        }
+
+        // 週末から週頭へまたがる区間を、週頭の区間とつなげる
+        const first = merged[0];
+        const last = merged[merged.length - 1];
+        if (merged.length > 1 && last.end >= this.MINUTES_PER_WEEK + first.start) {
+            last.end = Math.max(last.end, this.MINUTES_PER_WEEK + first.end);
+            merged.shift();
+        }
+
+        return merged;
+    },
+
+    /**
+     * 指定日時の営業状態を取得
+     * @param {Object} schedule - parseWeeklySchedule の結果
+     * @param {Date} [at] - 判定する日時（省略時は現在）
+     * @param {number} [closingSoonMinutes] - 「まもなく閉店」とみなす残り時間
+     * @returns {{ isOpen: boolean|null, closingSoon: boolean, alwaysOpen: boolean, at: Date,
+     *             closesAt: Date|null, opensAt: Date|null, minutesUntilClose: number|null, minutesUntilOpen: number|null }|null}
+     *   at は判定した日時
+     */
+    getStatus(schedule, at = new Date(), closingSoonMinutes = this.CLOSING_SOON_MINUTES) {
+        if (!schedule) {
             return null;
         }
 
-        const keywords = {
-            crowded: ['行列', '混雑', '満席', '待ち時間', '並ぶ', '人気', '賑わ'],
-            empty: ['空いて', 'すいて', 'ガラガラ', '貸切', '穴場']
+        const WEEK = this.MINUTES_PER_WEEK;
+        const dayIndex = this.toMondayIndex(at);
+        const now = dayIndex * this.MINUTES_PER_DAY + at.getHours() * 60 + at.getMinutes();
+        const minutesToDate = (minutes) => new Date(at.getTime() + minutes * 60000 - at.getSeconds() * 1000 - at.getMilliseconds());
+
+        const status = {
+            isOpen: false,
+            closingSoon: false,
+            alwaysOpen: schedule.alwaysOpen,
+            at: at,
+            closesAt: null,
+            opensAt: null,
+            minutesUntilClose: null,
+            minutesUntilOpen: null
         };
 
-        let crowdedCount = 0;
-        let emptyCount = 0;
+        if (schedule.alwaysOpen) {
+            status.isOpen = true;
+            return status;
+        }
 
-        for (const review of reviews.slice(0, 5)) { // 最新5件のレビューを確認
-            const text = review.text || '';
+        // 現在を含む区間（前週の区間が週をまたいで続いている場合も考慮）
+        const current = schedule.intervals.find(i =>
+            (i.start <= now && now < i.end) || (i.start <= now + WEEK && now + WEEK < i.end)
+        );
 
-            for (const keyword of keywords.crowded) {
-                if (text.includes(keyword)) {
-                    crowdedCount++;
-                    break;
-                }
-            }
+        if (current) {
+            const end = current.start <= now ? current.end : current.end - WEEK;
+            status.isOpen = true;
+            status.minutesUntilClose = end - now;
+            status.closesAt = minutesToDate(status.minutesUntilClose);
+            status.closingSoon = status.minutesUntilClose <= closingSoonMinutes;
+            return status;
+        }
 
-            for (const keyword of keywords.empty) {
-                if (text.includes(keyword)) {
-                    emptyCount++;
-                    break;
-                }
+        // 今日の曜日が解析できていなければ不明
+        if (schedule.days[dayIndex] === null) {
+            status.isOpen = null;
+            return status;
+        }
+
+        // 次の開店時刻
+        const nextStarts = schedule.intervals
+            .map(i => (i.start > now ? i.start : i.start + WEEK))
+            .sort((a, b) => a - b);
+        if (nextStarts.length > 0) {
+            status.minutesUntilOpen = nextStarts[0] - now;
+            status.opensAt = minutesToDate(status.minutesUntilOpen);
+        }
+
+        return status;
+    },
+
+    /**
+     * weekday_text から指定日時に営業中かを判定
+     * @param {Array<string>} weekdayText - ["月曜日: 7時00分～20時00分", ...]
+     * @param {Date} [at] - 判定する日時（省略時は現在）
+     * @returns {boolean|null} 営業中ならtrue、判定できなければnull
+     */
+    isCurrentlyOpen(weekdayText, at = new Date()) {
+        const status = this.getStatus(this.parseWeeklySchedule(weekdayText), at);
+        return status ? status.isOpen : null;
+    },
+
+    /**
+     * 営業状態を表示用テキストに変換
+     * @param {Object} status - getStatus の結果
+     * @param {Date} [at] - 基準日時（「明日」などの判定に使用、省略時は判定した日時）
+     * @returns {{ text: string, state: string }|null} state は 'open' / 'closing' / 'closed'
+     */
+    formatStatus(status, at) {
+        if (!status || status.isOpen === null) {
+            return null;
+        }
+        const base = at || status.at || new Date();
+
+        if (status.isOpen) {
+            if (status.alwaysOpen) {
+                return { text: I18n.t('hours.open24h'), state: 'open' };
             }
+            if (status.closingSoon) {
+                return { text: I18n.t('hours.closingIn', { minutes: status.minutesUntilClose }), state: 'closing' };
+            }
+            return { text: I18n.t('hours.openUntil', { time: this.formatTime(status.closesAt) }), state: 'open' };
+        }
+
+        if (!status.opensAt) {
+            return { text: I18n.t('hours.closed'), state: 'closed' };
         }
 
-        if (crowdedCount > emptyCount && crowdedCount >= 2) {
-            return 'crowded';
-        } else if (emptyCount > crowdedCount && emptyCount >= 2) {
-            return 'empty';
+        const dayDiff = this.daysBetween(base, status.opensAt);
+        const time = this.formatTime(status.opensAt);
+        let text;
+        if (dayDiff === 1) {
+            text = I18n.t('hours.opensTomorrow', { time });
+        } else if (dayDiff > 1) {
+            text = I18n.t('hours.opensOnDay', { day: I18n.t(`weekday.${status.opensAt.getDay()}`), time });
+        } else {
+            text = I18n.t('hours.opensAt', { time });
         }
+        return { text, state: 'closed' };
+    },
+
+    /**
+     * 日時を「今日 19:30」「明日 12:00」「10/22(木) 19:30」の形式に変換
+     * @param {Date} date
+     * @param {Date} [base] - 「今日」「明日」の基準（省略時は現在）
+     */
+    formatDateTime(date, base = new Date()) {
+        const dayDiff = this.daysBetween(base, date);
+        const time = this.formatTime(date);
+        if (dayDiff === 0) {
+            return I18n.t('date.today', { time });
+        }
+        if (dayDiff === 1) {
+            return I18n.t('date.tomorrow', { time });
+        }
+        return I18n.t('date.other', {
+            month: date.getMonth() + 1,
+            date: date.getDate(),
+            day: I18n.t(`weekday.${date.getDay()}`),
+            time
+        });
+    },
+
+    /**
+     * 指定日の weekday_text の行を取得
+     */
+    getDayText(weekdayText, at = new Date()) {
+        if (!weekdayText) return null;
+        return weekdayText[this.toMondayIndex(at)] || null;
+    },
+
+    /**
+     * Date.getDay()（日曜始まり）を月曜始まりのインデックスに変換
+     */
+    toMondayIndex(date) {
+        const day = date.getDay(); // 0=日, 1=月, ..., 6=土
+        return day === 0 ? 6 : day - 1;
+    },
+
+    formatTime(date) {
+        return `${date.getHours()}:${String(date.getMinutes()).padStart(2, '0')}`;
+    },
 
-        return null; // 判定不可
+    daysBetween(from, to) {
+        const start = new Date(from.getFullYear(), from.getMonth(), from.getDate());
+        const end = new Date(to.getFullYear(), to.getMonth(), to.getDate());
+        return Math.round((end - start) / (24 * 60 * 60 * 1000));
     }
 };
@@ -0,0 +1,786 @@
+/**
+ * i18n.js - 表示言語モジュール
+ * 画面に表示する文言をメッセージカタログから取得し、選んだ言語を端末に保存する
+ *
+ * HTML の文言は data-i18n（textContent）と data-i18n-aria-label / data-i18n-placeholder / data-i18n-alt 属性で
+ * カタログのキーを指定し、apply() でまとめて差し替える
+ */
+
+const I18n = (() => {
+    const STORAGE_KEY = 'lets-eat:language';
+    const DEFAULT_LANGUAGE = 'ja';
+    // 翻訳する属性（data-i18n-<属性名> にキーを書く）
+    const TRANSLATED_ATTRIBUTES = ['aria-label', 'placeholder', 'alt'];
+
+    // メッセージカタログ（{name} はパラメータで置き換える）
+    const MESSAGES = {
+        ja: {
+            // --- 共通 ---
+            'app.title': 'Let\'s Eat - 今すぐ食事を見つけよう',
+            'language.switch': 'English',
+            'common.back': '戻る',
+            'common.close': '閉じる',
+            'common.error': 'エラーが発生しました',
+            'common.initError': '初期化に失敗しました',
+            'db.unavailable': 'この端末ではデータを保存できません。',
+
+            // --- トップ画面 ---
+            'top.subtitle': 'あなたの近くの、とっておきの一皿を',
+            'top.search': 'お店を検索',
+            'top.searchPoint': '📍 {label} 付近で検索',
+            'top.searchPointClear': '現在地に戻す',
+            'top.pickLocation': '📍 場所を指定',
+            'top.favorites': '♡ お気に入り・履歴',
+            'top.group': '👥 みんなで集まる',
+            'top.settings': '⚙ 設定',
+            'top.visits': '📒 行ったお店',
+
+            // --- フィルター ---
+            'filter.when.now': '今すぐ',
+            'filter.when.lunch': '🍱 ランチ 12:00',
+            'filter.when.dinner': '🍷 ディナー 19:30',
+            'filter.when.custom': '📅 日時を指定',
+            'filter.when.input': 'お店に行く日時',
+            'filter.distance.400': '🚶 徒歩5分',
+            'filter.distance.800': '🚶 徒歩10分',
+            'filter.distance.1200': '🚶 徒歩15分',
+            'filter.distance.3000': '🚕 タクシー圏内',
+            'filter.smoking.any': '指定なし',
+            'filter.smoking.allowed': '🚬 喫煙可',
+            'filter.smoking.noSmoking': '🚭 禁煙',
+            'filter.amenity.vegetarian': '🥗 ベジタリアン',
+            'filter.amenity.halal': '🥙 ハラール',
+            'filter.amenity.reservable': '📅 予約可',
+            'filter.amenity.wheelchair': '♿ 車椅子可',
+            'filter.amenity.kids': '👶 子ども連れ',
+            'category.restaurant': 'レストラン',
+            'category.cafe': 'カフェ',
+            'category.bar': 'バー',
+            'cuisine.izakaya': '居酒屋',
+            'cuisine.italian': 'イタリアン',
+            'cuisine.chinese': '中華',
+            'cuisine.french': 'フレンチ',
+            'cuisine.washoku': '和食',
+            'cuisine.ramen': 'ラーメン',
+            'distanceStep.400': '徒歩5分圏内',
+            'distanceStep.800': '徒歩10分圏内',
+            'distanceStep.1200': '徒歩15分圏内',
+            'distanceStep.3000': 'タクシー圏内',
+
+            // --- 検索 ---
+            'search.locating': '位置情報を取得中...',
+            'search.searching': '近くのお店を検索中...',
+            'search.searchingAt': '{time} に営業しているお店を検索中...',
+            'search.widening': '範囲を広げて検索中...（{range}）',
+            'search.pastTime': '指定した日時を過ぎているため、今営業しているお店を検索します',
+            'search.pickLocation': '{error} 駅名・住所または地図で場所を指定してください。',
+
+            // --- 結果画面 ---
+            'results.refresh': '再検索',
+            'results.count': '{count}件のお店が見つかりました',
+            'results.openAt': '{time} に営業しているお店',
+            'results.hoursUnchecked': '{count}件は営業時間を確認できていません',
+            'results.widened': '範囲を広げて検索しました（{range}）',
+            'results.widenedToast': '近くに見つからなかったため、{range}まで広げて検索しました',
+            'results.lastSearch': '前回の検索結果（{time} 時点）',
+            'results.roulette': '🎲 おまかせ',
+            'tracking.toggle': '📡 現在地を追跡',
+            'tracking.waiting': '測位中...',
+            'tracking.accuracy': '誤差 ±{meters}m',
+            'tracking.manualLocation': '場所を指定して検索しているため、現在地の追跡は使えません',
+            'results.noRoulette': 'ルーレットで選べるお店がありません',
+            'results.sharedPlaceMissing': '共有されたお店は現在の検索結果にありません（営業時間外の可能性があります）',
+            'results.sort': '並び順',
+            'results.view': '表示切り替え',
+            'results.viewList': '☰ リスト',
+            'results.viewMap': '🗺️ 地図',
+            'results.none': '見つかりませんでした',
+            'results.noneSub': '条件を変えて再検索してみてください',
+            'results.retry': '条件を変更する',
+            'sort.recommended': 'おすすめ順',
+            'sort.nearest': '近い順',
+            'sort.leastCrowded': '空いている順',
+            'sort.cheapest': '安い順',
+            'map.unavailable': '地図を読み込めませんでした。通信環境を確認してください。',
+            'map.currentLocation': '現在地',
+
+            // --- カード・詳細 ---
+            'card.label': '{name} - 評価{rating}',
+            'card.unrated': '未評価',
+            'card.labelUnverified': '{label}（要確認: {amenities}）',
+            'modal.photoAlt': '店舗写真',
+            'modal.share': '共有',
+            'modal.reviews': '({count}件のレビュー)',
+            'modal.congestion': '混雑予想: {label}',
+            'modal.noAddress': '住所不明',
+            'modal.distance': '{distance}（{walk} / {taxi}）',
+            'modal.distanceStraight': '直線 {distance}（{walk} / {taxi}）',
+            'modal.noDistance': '現在地が不明なため距離を計算できません',
+            'modal.open': '営業中',
+            'modal.closed': '営業時間外',
+            'modal.hoursUnknown': '営業時間不明',
+            'modal.appeal': '雰囲気・特徴',
+            'modal.navigate': 'ここに行く',
+            'modal.tabelog': '📖 食べログで詳細を見る',
+            'modal.amenityVerified': '✓ {labels}',
+            'modal.amenityUnverified': '要確認: {labels}',
+            'amenity.vegetarian': 'ベジタリアン対応',
+            'amenity.halal': 'ハラール対応',
+            'amenity.reservable': '予約可',
+            'amenity.wheelchair': '車椅子で入店可',
+            'amenity.kids': '子ども連れ歓迎',
+            'amenity.unverified': '要確認',
+            'share.copied': '共有リンクをコピーしました',
+            'share.copyFailed': '共有リンクをコピーできませんでした',
+            'congestion.empty': '空いている',
+            'congestion.low': '普通',
+            'congestion.medium': 'やや混雑',
+            'congestion.high': '混雑',
+            'price.free': '無料',
+
+            // --- 雰囲気タグ（Place types） ---
+            'atmosphere.fine_dining_restaurant': '🌟 高級ダイニング',
+            'atmosphere.japanese_restaurant': '🏯 和の雰囲気',
+            'atmosphere.french_restaurant': '🇫🇷 フレンチ',
+            'atmosphere.italian_restaurant': '🇮🇹 イタリアン',
+            'atmosphere.steak_house': '🥩 ステーキハウス',
+            'atmosphere.sushi_restaurant': '🍣 寿司',
+            'atmosphere.seafood_restaurant': '🦞 シーフード',
+            'atmosphere.brunch_restaurant': '🥞 ブランチ',
+            'atmosphere.ramen_restaurant': '🍜 ラーメン',
+            'atmosphere.barbecue_restaurant': '🔥 焼肉・BBQ',
+            'atmosphere.bar': '🥂 バー',
+            'atmosphere.wine_bar': '🍷 ワインバー',
+            'atmosphere.cocktail_bar': '🍸 カクテルバー',
+            'atmosphere.cafe': '☕ カフェ',
+            'atmosphere.coffee_shop': '☕ コーヒーショップ',
+
+            // --- レビュー解析のタグ ---
+            'review.crowded': '🔥 混雑しやすい',
+            'review.quiet': '✨ 穴場',
+            'review.smoking': '喫煙可',
+            'review.separated': '分煙',
+            'review.nonSmoking': '禁煙',
+            'review.view': '🏙️ 眺望が良い',
+            'review.hideaway': '🏠 一軒家・隠れ家',
+            'review.privateRoom': '🚪 個室あり',
+            'review.terrace': '🌿 テラス席',
+            'review.date': '💑 デート向き',
+            'review.stylish': '✨ おしゃれ',
+            'review.calm': '🕯️ 落ち着いた雰囲気',
+            'review.spacious': '🏛️ 開放的',
+            'review.counter': '🍸 カウンター席',
+            'review.service': '👤 サービス◎',
+            'review.value': '💰 コスパ良好',
+            'review.vegetarian': '🥗 ベジタリアン対応',
+            'review.halal': '🥙 ハラール対応',
+            'review.reservable': '📅 予約可',
+            'review.wheelchair': '♿ バリアフリー',
+            'review.kids': '👶 子ども連れ歓迎',
+
+            // --- 営業時間・日時 ---
+            'hours.open24h': '24時間営業',
+            'hours.closingIn': 'あと{minutes}分で閉店',
+            'hours.openUntil': '営業中（{time}まで）',
+            'hours.closed': '営業時間外',
+            'hours.unchecked': '営業時間未確認',
+            'hours.opensAt': '{time}から営業',
+            'hours.opensTomorrow': '明日 {time}から営業',
+            'hours.opensOnDay': '{day}曜 {time}から営業',
+            'date.today': '今日 {time}',
+            'date.tomorrow': '明日 {time}',
+            'date.other': '{month}/{date}({day}) {time}',
+            'weekday.0': '日',
+            'weekday.1': '月',
+            'weekday.2': '火',
+            'weekday.3': '水',
+            'weekday.4': '木',
+            'weekday.5': '金',
+            'weekday.6': '土',
+
+            // --- 位置情報 ---
+            'geo.unsupported': 'お使いのブラウザは位置情報に対応していません。',
+            'geo.denied': '位置情報の使用が許可されていません。ブラウザの設定から位置情報を許可してください。',
+            'geo.unavailable': '位置情報を取得できませんでした。',
+            'geo.timeout': '位置情報の取得がタイムアウトしました。',
+            'geo.error': '位置情報の取得中にエラーが発生しました。',
+            'geo.walk': '徒歩{minutes}分',
+            'geo.taxi': 'タクシー{minutes}分',
+
+            // --- 店舗検索のエラー ---
+            'places.notReady': 'Places APIが初期化されていません。ページを再読み込みしてください。',
+            'places.requestDenied': 'APIキーが無効、または「Places API」が有効化されていません。サーバーの環境変数 GOOGLE_PLACES_API_KEY と、Google Cloud Consoleで「Places API」（※ New ではない方）が有効になっているか確認してください。',
+            'places.overQueryLimit': 'API使用制限を超えました。しばらく待ってからお試しください。',
+            'places.invalidRequest': 'リクエストが無効です。ページを再読み込みしてください。',
+            'places.networkError': 'ネットワークに接続できません。通信環境を確認してください。',
+            'places.searchFailed': 'お店の検索に失敗しました。',
+
+            // --- お気に入り・履歴 ---
+            'favorites.section': 'お気に入り',
+            'favorites.empty': 'お店の詳細で ♡ をタップするとここに保存されます',
+            'favorites.history': '最近見たお店',
+            'favorites.historyEmpty': 'まだ閲覧したお店はありません',
+            'favorites.loadError': 'お気に入りを読み込めませんでした',
+            'favorites.lastPoint': '前回の検索地点',
+            'favorites.fromLastPoint': '前回の検索地点からの距離',
+            'favorites.fromCurrent': '現在地からの距離',
+            'favorites.add': 'お気に入りに追加',
+            'favorites.remove': 'お気に入りから削除',
+            'favorites.added': 'お気に入りに追加しました',
+            'favorites.removed': 'お気に入りから削除しました',
+            'favorites.saveError': 'お気に入りを保存できませんでした',
+
+            // --- 地点の指定 ---
+            'location.message': '駅名・住所で検索するか、地図をタップして場所を指定',
+            'location.query': '駅名・住所',
+            'location.placeholder': '例: 渋谷駅、東京都千代田区丸の内1-1',
+            'location.search': '検索',
+            'location.searching': '検索中...',
+            'location.notFound': '見つかりませんでした。駅名や住所を変えてお試しください。',
+            'location.searchError': '場所を検索できませんでした',
+            'location.mapNote': '地図を読み込めませんでした。駅名・住所で検索してください。',
+            'location.mapPoint': '地図で指定した地点',
+            'location.shared': '共有された地点',
+            'location.noneSelected': '場所が選択されていません',
+            'location.confirm': 'この場所で検索',
+
+            // --- みんなで集まる ---
+            'group.message': '集まる人の場所を追加すると、いちばん遠い人でも歩く距離が短くなる地点で探します',
+            'group.empty': 'まだ誰も追加されていません',
+            'group.addLocation': '📍 場所を追加',
+            'group.addMyLocation': '📡 自分の現在地を追加',
+            'group.addConfirm': 'この場所を追加',
+            'group.pickMessage': '{name} の場所を駅名・住所で検索するか、地図をタップして指定',
+            'group.myLocation': '現在地',
+            'group.remove': '{name}（{label}）を削除',
+            'group.full': '追加できるのは{max}人までです',
+            'group.needMore': 'あと{count}人分の場所を追加してください',
+            'group.search': 'この中間地点で探す',
+            'group.share': '🔗 共有',
+            'group.shareTitle': 'Let\'s Eat - みんなで集まる',
+            'group.shareText': '{count}人の中間地点でお店を探そう。自分の場所を追加して検索できます',
+            'group.meetingPoint': '{count}人の中間地点',
+            'group.maxWalk': '中間地点までいちばん遠い人で{walk}',
+            'group.cardDistance': '{name} {walk}',
+            'group.personDistance': '{name}: {label}から {distanceText}（{walkTime}）',
+
+            // --- おまかせルーレット ---
+            'roulette.empty': '候補のお店がなくなりました',
+            'roulette.noneOpen': '営業中のお店が見つかりませんでした',
+            'roulette.picked': '{count}軒の中から選びました',
+            'roulette.decide': 'ここに決定',
+            'roulette.reroll': 'このお店以外でもう一回',
+
+            // --- 比較 ---
+            'compare.select': '{name} を比較に選ぶ',
+            'compare.selected': '{count}軒を選択中（{max}軒まで）',
+            'compare.open': '比較する',
+            'compare.clear': '選択を解除',
+            'compare.max': '比較できるのは{max}軒までです',
+            'compare.legend': '色の付いた行はお店によって違う項目、★ はいちばん良い値です',
+            'compare.showDetail': '{name} の詳細を見る',
+            'compare.rating': '評価',
+            'compare.price': '価格帯',
+            'compare.distance': '距離',
+            'compare.congestion': '混雑',
+            'compare.hours': '営業時間',
+            'compare.smoking': '喫煙',
+            'compare.atmosphere': '雰囲気',
+            'compare.ratingValue': '⭐ {rating}（{count}件）',
+            'compare.distanceValue': '{distance}（{walk}）',
+            'compare.best': 'いちばん良い値',
+            'compare.none': '—',
+            'compare.loading': '読み込み中...',
+
+            // --- 興味なし・行ったお店 ---
+            'hide.button': '{name} を非表示にする',
+            'hide.modalButton': '🙈 興味なし',
+            'hide.title': '{name} を非表示にする期間',
+            'hide.days3': '3日間',
+            'hide.days7': '1週間',
+            'hide.days30': '30日間',
+            'hide.forever': 'ずっと',
+            'hide.cancel': 'キャンセル',
+            'hide.doneDays': '{name} を{days}日間表示しません',
+            'hide.doneForever': '{name} を表示しません（設定から元に戻せます）',
+            'visit.button': '✓ 行った',
+            'visit.recorded': '行ったお店に記録しました',
+            'visit.recordError': '記録できませんでした',
+            'visit.formTitle': '{name} に行った記録',
+            'visit.date': '日付',
+            'visit.rating': '自分の評価',
+            'visit.ratingValue': '{rating}点',
+            'visit.spent': '使った金額（円）',
+            'visit.note': 'メモ',
+            'visit.save': '記録する',
+            'visit.cancel': 'キャンセル',
+
+            // --- 設定 ---
+            'settings.rotation': 'ローテーション',
+            'settings.rotationLabel': '最近1週間に行ったお店を結果の後ろに回す',
+            'settings.rotationNote': 'お店の詳細で「✓ 行った」をタップすると記録されます',
+            'settings.hidden': '非表示にしたお店',
+            'settings.hiddenEmpty': '非表示にしたお店はありません',
+            'settings.hiddenForever': 'ずっと非表示',
+            'settings.hiddenUntil': '{date}まで非表示',
+            'settings.restore': '元に戻す',
+            'settings.restoreLabel': '{name} を元に戻す',
+            'settings.restored': '{name} を再び表示します',
+
+            // --- 行ったお店 ---
+            'visits.count': '{count}回・{places}軒',
+            'visits.byCuisine': 'ジャンル別',
+            'visits.otherCuisine': 'その他',
+            'visits.times': '{count}回',
+            'visits.spend': '使った金額（平均）と価格帯',
+            'visits.spendAverage': '平均 {amount}（{count}回）',
+            'visits.spend.below': '価格帯より安め',
+            'visits.spend.within': '価格帯どおり',
+            'visits.spend.above': '価格帯より高め',
+            'visits.spendEmpty': '金額を記録するとここに表示されます',
+            'visits.topPlaces': 'よく行くお店',
+            'visits.history': '記録',
+            'visits.empty': 'お店の詳細で「✓ 行った」をタップすると記録されます',
+            'visits.remove': '{date} の {name} の記録を削除',
+            'visits.transfer': '書き出し・読み込み',
+            'visits.exportJson': '⬇ JSON',
+            'visits.exportCsv': '⬇ CSV',
+            'visits.import': '⬆ 読み込む',
+            'visits.transferNote': '書き出したファイルを読み込むと、同じ記録を除いて追加します',
+            'visits.exportEmpty': '書き出す記録がありません',
+            'visits.imported': '{added}件を追加しました（{skipped}件は記録済み）',
+            'visits.importInvalid': '行ったお店の記録のファイルではありません'
+        },
+
+        en: {
+            // --- 共通 ---
+            'app.title': 'Let\'s Eat - Find a meal right now',
+            'language.switch': '日本語',
+            'common.back': 'Back',
+            'common.close': 'Close',
+            'common.error': 'Something went wrong',
+            'common.initError': 'The app failed to start',
+            'db.unavailable': 'This device cannot save data.',
+
+            // --- トップ画面 ---
+            'top.subtitle': 'Something special, right around you',
+            'top.search': 'Search for places',
+            'top.searchPoint': '📍 Searching near {label}',
+            'top.searchPointClear': 'Use my location',
+            'top.pickLocation': '📍 Choose a location',
+            'top.favorites': '♡ Favorites & history',
+            'top.group': '👥 Meet up as a group',
+            'top.settings': '⚙ Settings',
+            'top.visits': '📒 Places I\'ve been',
+
+            // --- フィルター ---
+            'filter.when.now': 'Now',
+            'filter.when.lunch': '🍱 Lunch 12:00',
+            'filter.when.dinner': '🍷 Dinner 19:30',
+            'filter.when.custom': '📅 Pick a time',
+            'filter.when.input': 'When you will go',
+            'filter.distance.400': '🚶 5 min walk',
+            'filter.distance.800': '🚶 10 min walk',
+            'filter.distance.1200': '🚶 15 min walk',
+            'filter.distance.3000': '🚕 Taxi range',
+            'filter.smoking.any': 'Any',
+            'filter.smoking.allowed': '🚬 Smoking OK',
+            'filter.smoking.noSmoking': '🚭 Non-smoking',
+            'filter.amenity.vegetarian': '🥗 Vegetarian',
+            'filter.amenity.halal': '🥙 Halal',
+            'filter.amenity.reservable': '📅 Reservations',
+            'filter.amenity.wheelchair': '♿ Wheelchair',
+            'filter.amenity.kids': '👶 Kids',
+            'category.restaurant': 'Restaurant',
+            'category.cafe': 'Cafe',
+            'category.bar': 'Bar',
+            'cuisine.izakaya': 'Izakaya',
+            'cuisine.italian': 'Italian',
+            'cuisine.chinese': 'Chinese',
+            'cuisine.french': 'French',
+            'cuisine.washoku': 'Japanese',
+            'cuisine.ramen': 'Ramen',
+            'distanceStep.400': 'a 5 min walk',
+            'distanceStep.800': 'a 10 min walk',
+            'distanceStep.1200': 'a 15 min walk',
+            'distanceStep.3000': 'taxi range',
+
+            // --- 検索 ---
+            'search.locating': 'Getting your location...',
+            'search.searching': 'Searching nearby places...',
+            'search.searchingAt': 'Searching places open {time}...',
+            'search.widening': 'Widening the search... ({range})',
+            'search.pastTime': 'That time has passed, so searching places open now',
+            'search.pickLocation': '{error} Choose a location by station, address or on the map.',
+
+            // --- 結果画面 ---
+            'results.refresh': 'Search again',
+            'results.count': '{count} places found',
+            'results.openAt': 'Open {time}',
+            'results.hoursUnchecked': 'hours unconfirmed for {count}',
+            'results.widened': 'Widened the search ({range})',
+            'results.widenedToast': 'Nothing nearby, so the search was widened to {range}',
+            'results.lastSearch': 'Last search results (as of {time})',
+            'results.roulette': '🎲 Surprise me',
+            'tracking.toggle': '📡 Live location',
+            'tracking.waiting': 'Locating...',
+            'tracking.accuracy': '±{meters}m',
+            'tracking.manualLocation': 'Live location is unavailable while searching from a chosen place',
+            'results.noRoulette': 'There are no places to pick from',
+            'results.sharedPlaceMissing': 'The shared place is not in the current results (it may be closed)',
+            'results.sort': 'Sort',
+            'results.view': 'View',
+            'results.viewList': '☰ List',
+            'results.viewMap': '🗺️ Map',
+            'results.none': 'No places found',
+            'results.noneSub': 'Try changing the filters and searching again',
+            'results.retry': 'Change filters',
+            'sort.recommended': 'Recommended',
+            'sort.nearest': 'Nearest',
+            'sort.leastCrowded': 'Least crowded',
+            'sort.cheapest': 'Cheapest',
+            'map.unavailable': 'Could not load the map. Check your connection.',
+            'map.currentLocation': 'Your location',
+
+            // --- カード・詳細 ---
+            'card.label': '{name} - rating {rating}',
+            'card.unrated': 'not rated',
+            'card.labelUnverified': '{label} (please check: {amenities})',
+            'modal.photoAlt': 'Photo of the place',
+            'modal.share': 'Share',
+            'modal.reviews': '({count} reviews)',
+            'modal.congestion': 'Expected crowd: {label}',
+            'modal.noAddress': 'Address unknown',
+            'modal.distance': '{distance} ({walk} / {taxi})',
+            'modal.distanceStraight': '{distance} in a straight line ({walk} / {taxi})',
+            'modal.noDistance': 'Distance unavailable because your location is unknown',
+            'modal.open': 'Open',
+            'modal.closed': 'Closed',
+            'modal.hoursUnknown': 'Hours unknown',
+            'modal.appeal': 'Atmosphere & features',
+            'modal.navigate': 'Take me there',
+            'modal.tabelog': '📖 See details on Tabelog',
+            'modal.amenityVerified': '✓ {labels}',
+            'modal.amenityUnverified': 'Please check: {labels}',
+            'amenity.vegetarian': 'Vegetarian options',
+            'amenity.halal': 'Halal options',
+            'amenity.reservable': 'Takes reservations',
+            'amenity.wheelchair': 'Wheelchair accessible',
+            'amenity.kids': 'Good for kids',
+            'amenity.unverified': 'Unverified',
+            'share.copied': 'Share link copied',
+            'share.copyFailed': 'Could not copy the share link',
+            'congestion.empty': 'Quiet',
+            'congestion.low': 'Normal',
+            'congestion.medium': 'Somewhat busy',
+            'congestion.high': 'Busy',
+            'price.free': 'Free',
+
+            // --- 雰囲気タグ（Place types） ---
+            'atmosphere.fine_dining_restaurant': '🌟 Fine dining',
+            'atmosphere.japanese_restaurant': '🏯 Japanese style',
+            'atmosphere.french_restaurant': '🇫🇷 French',
+            'atmosphere.italian_restaurant': '🇮🇹 Italian',
+            'atmosphere.steak_house': '🥩 Steakhouse',
+            'atmosphere.sushi_restaurant': '🍣 Sushi',
+            'atmosphere.seafood_restaurant': '🦞 Seafood',
+            'atmosphere.brunch_restaurant': '🥞 Brunch',
+            'atmosphere.ramen_restaurant': '🍜 Ramen',
+            'atmosphere.barbecue_restaurant': '🔥 Yakiniku & BBQ',
+            'atmosphere.bar': '🥂 Bar',
+            'atmosphere.wine_bar': '🍷 Wine bar',
+            'atmosphere.cocktail_bar': '🍸 Cocktail bar',
+            'atmosphere.cafe': '☕ Cafe',
+            'atmosphere.coffee_shop': '☕ Coffee shop',
+
+            // --- レビュー解析のタグ ---
+            'review.crowded': '🔥 Often crowded',
+            'review.quiet': '✨ Hidden gem',
+            'review.smoking': 'Smoking allowed',
+            'review.separated': 'Separate smoking area',
+            'review.nonSmoking': 'Non-smoking',
+            'review.view': '🏙️ Great view',
+            'review.hideaway': '🏠 Hideaway',
+            'review.privateRoom': '🚪 Private rooms',
+            'review.terrace': '🌿 Terrace seating',
+            'review.date': '💑 Good for dates',
+            'review.stylish': '✨ Stylish',
+            'review.calm': '🕯️ Calm atmosphere',
+            'review.spacious': '🏛️ Spacious',
+            'review.counter': '🍸 Counter seats',
+            'review.service': '👤 Great service',
+            'review.value': '💰 Good value',
+            'review.vegetarian': '🥗 Vegetarian options',
+            'review.halal': '🥙 Halal options',
+            'review.reservable': '📅 Takes reservations',
+            'review.wheelchair': '♿ Step-free access',
+            'review.kids': '👶 Good for kids',
+
+            // --- 営業時間・日時 ---
+            'hours.open24h': 'Open 24 hours',
+            'hours.closingIn': 'Closes in {minutes} min',
+            'hours.openUntil': 'Open until {time}',
+            'hours.closed': 'Closed',
+            'hours.unchecked': 'Hours unconfirmed',
+            'hours.opensAt': 'Opens at {time}',
+            'hours.opensTomorrow': 'Opens tomorrow at {time}',
+            'hours.opensOnDay': 'Opens {day} at {time}',
+            'date.today': 'today {time}',
+            'date.tomorrow': 'tomorrow {time}',
+            'date.other': '{day} {month}/{date} {time}',
+            'weekday.0': 'Sun',
+            'weekday.1': 'Mon',
+            'weekday.2': 'Tue',
+            'weekday.3': 'Wed',
+            'weekday.4': 'Thu',
+            'weekday.5': 'Fri',
+            'weekday.6': 'Sat',
+
+            // --- 位置情報 ---
+            'geo.unsupported': 'Your browser does not support location.',
+            'geo.denied': 'Location access is blocked. Allow location in your browser settings.',
+            'geo.unavailable': 'Could not get your location.',
+            'geo.timeout': 'Getting your location timed out.',
+            'geo.error': 'Something went wrong while getting your location.',
+            'geo.walk': '{minutes} min walk',
+            'geo.taxi': '{minutes} min by taxi',
+
+            // --- 店舗検索のエラー ---
+            'places.notReady': 'The Places API is not ready. Please reload the page.',
+            'places.requestDenied': 'The API key is invalid or the "Places API" is not enabled. Check the GOOGLE_PLACES_API_KEY environment variable on the server, and that "Places API" (not the New one) is enabled in Google Cloud Console.',
+            'places.overQueryLimit': 'The API usage limit was exceeded. Please try again later.',
+            'places.invalidRequest': 'The request was invalid. Please reload the page.',
+            'places.networkError': 'No network connection. Check your connection.',
+            'places.searchFailed': 'The search for places failed.',
+
+            // --- お気に入り・履歴 ---
+            'favorites.section': 'Favorites',
+            'favorites.empty': 'Tap ♡ on a place to save it here',
+            'favorites.history': 'Recently viewed',
+            'favorites.historyEmpty': 'You have not viewed any places yet',
+            'favorites.loadError': 'Could not load your favorites',
+            'favorites.lastPoint': 'Last search point',
+            'favorites.fromLastPoint': 'Distance from your last search point',
+            'favorites.fromCurrent': 'Distance from your location',
+            'favorites.add': 'Add to favorites',
+            'favorites.remove': 'Remove from favorites',
+            'favorites.added': 'Added to favorites',
+            'favorites.removed': 'Removed from favorites',
+            'favorites.saveError': 'Could not save the favorite',
+
+            // --- 地点の指定 ---
+            'location.message': 'Search by station or address, or tap the map to choose a location',
+            'location.query': 'Station or address',
+            'location.placeholder': 'e.g. Shibuya Station, 1-1 Marunouchi, Chiyoda',
+            'location.search': 'Search',
+            'location.searching': 'Searching...',
+            'location.notFound': 'Nothing found. Try a different station or address.',
+            'location.searchError': 'Could not search for the location',
+            'location.mapNote': 'Could not load the map. Search by station or address.',
+            'location.mapPoint': 'Point on the map',
+            'location.shared': 'Shared location',
+            'location.noneSelected': 'No location selected',
+            'location.confirm': 'Search here',
+
+            // --- みんなで集まる ---
+            'group.message': 'Add where everyone is, and we\'ll search around the point that keeps the longest walk as short as possible',
+            'group.empty': 'No one has been added yet',
+            'group.addLocation': '📍 Add a location',
+            'group.addMyLocation': '📡 Add my location',
+            'group.addConfirm': 'Add this location',
+            'group.pickMessage': 'Search by station or address, or tap the map to choose where {name} is',
+            'group.myLocation': 'My location',
+            'group.remove': 'Remove {name} ({label})',
+            'group.full': 'You can add up to {max} people',
+            'group.needMore': 'Add {count} more location(s)',
+            'group.search': 'Search around the midpoint',
+            'group.share': '🔗 Share',
+            'group.shareTitle': 'Let\'s Eat - Meet up',
+            'group.shareText': 'Let\'s find a place between the {count} of us. Add your location and search',
+            'group.meetingPoint': 'Midpoint of {count} people',
+            'group.maxWalk': 'Longest walk to the midpoint: {walk}',
+            'group.cardDistance': '{name} {walk}',
+            'group.personDistance': '{name}: {distanceText} from {label} ({walkTime})',
+
+            // --- おまかせルーレット ---
+            'roulette.empty': 'No more places to pick from',
+            'roulette.noneOpen': 'No open places were found',
+            'roulette.picked': 'Picked from {count} places',
+            'roulette.decide': 'Let\'s go here',
+            'roulette.reroll': 'Spin again without this one',
+
+            // --- 比較 ---
+            'compare.select': 'Select {name} to compare',
+            'compare.selected': '{count} selected (up to {max})',
+            'compare.open': 'Compare',
+            'compare.clear': 'Clear',
+            'compare.max': 'You can compare up to {max} places',
+            'compare.legend': 'Highlighted rows differ between places; ★ marks the best value',
+            'compare.showDetail': 'Show details for {name}',
+            'compare.rating': 'Rating',
+            'compare.price': 'Price',
+            'compare.distance': 'Distance',
+            'compare.congestion': 'Crowds',
+            'compare.hours': 'Hours',
+            'compare.smoking': 'Smoking',
+            'compare.atmosphere': 'Atmosphere',
+            'compare.ratingValue': '⭐ {rating} ({count})',
+            'compare.distanceValue': '{distance} ({walk})',
+            'compare.best': 'Best value',
+            'compare.none': '—',
+            'compare.loading': 'Loading...',
+
+            // --- 興味なし・行ったお店 ---
+            'hide.button': 'Hide {name}',
+            'hide.modalButton': '🙈 Not interested',
+            'hide.title': 'Hide {name} for',
+            'hide.days3': '3 days',
+            'hide.days7': '1 week',
+            'hide.days30': '30 days',
+            'hide.forever': 'Always',
+            'hide.cancel': 'Cancel',
+            'hide.doneDays': '{name} is hidden for {days} days',
+            'hide.doneForever': '{name} is hidden (undo it in Settings)',
+            'visit.button': '✓ Been here',
+            'visit.recorded': 'Saved as visited',
+            'visit.recordError': 'Could not save the visit',
+            'visit.formTitle': 'Your visit to {name}',
+            'visit.date': 'Date',
+            'visit.rating': 'Your rating',
+            'visit.ratingValue': '{rating} stars',
+            'visit.spent': 'Amount spent (yen)',
+            'visit.note': 'Note',
+            'visit.save': 'Save',
+            'visit.cancel': 'Cancel',
+
+            // --- 設定 ---
+            'settings.rotation': 'Rotation',
+            'settings.rotationLabel': 'Move places visited in the last week to the end of the results',
+            'settings.rotationNote': 'Tap "✓ Been here" in a place\'s details to record a visit',
+            'settings.hidden': 'Hidden places',
+            'settings.hiddenEmpty': 'No hidden places',
+            'settings.hiddenForever': 'Hidden permanently',
+            'settings.hiddenUntil': 'Hidden until {date}',
+            'settings.restore': 'Unhide',
+            'settings.restoreLabel': 'Unhide {name}',
+            'settings.restored': '{name} will show up again',
+
+            // --- 行ったお店 ---
+            'visits.count': '{count} visits · {places} places',
+            'visits.byCuisine': 'By cuisine',
+            'visits.otherCuisine': 'Other',
+            'visits.times': '{count}×',
+            'visits.spend': 'Average spend by price range',
+            'visits.spendAverage': 'avg. {amount} ({count}×)',
+            'visits.spend.below': 'below the range',
+            'visits.spend.within': 'within the range',
+            'visits.spend.above': 'above the range',
+            'visits.spendEmpty': 'Record the amount you spent to see it here',
+            'visits.topPlaces': 'Most visited',
+            'visits.history': 'History',
+            'visits.empty': 'Tap "✓ Been here" in a place\'s details to record a visit',
+            'visits.remove': 'Delete the visit to {name} on {date}',
+            'visits.transfer': 'Export & import',
+            'visits.exportJson': '⬇ JSON',
+            'visits.exportCsv': '⬇ CSV',
+            'visits.import': '⬆ Import',
+            'visits.transferNote': 'Importing an exported file adds its visits, skipping ones you already have',
+            'visits.exportEmpty': 'No visits to export',
+            'visits.imported': 'Added {added} visits ({skipped} already recorded)',
+            'visits.importInvalid': 'This is not a visit log file'
+        }
+    };
+
+    let language = detectLanguage();
+    const changeHandlers = [];
+
+    /**
+     * 保存済みの言語 → ブラウザの言語の順で表示言語を決める
+     */
+    function detectLanguage() {
+        try {
+            const stored = localStorage.getItem(STORAGE_KEY);
+            if (MESSAGES[stored]) return stored;
+        } catch (e) {
+            console.warn('言語設定を読み込めませんでした:', e);
+        }
+
+        const preferred = navigator.languages || [navigator.language];
+        const match = preferred
+            .map(tag => String(tag || '').slice(0, 2).toLowerCase())
+            .find(code => MESSAGES[code]);
+        return match || DEFAULT_LANGUAGE;
+    }
+
+    /**
+     * 文言を取得（選択中の言語にないキーは日本語、それもなければキーを返す）
+     * @param {string} key - カタログのキー
+     * @param {Object} [params] - {name} を置き換える値
+     * @returns {string}
+     */
+    function t(key, params = {}) {
+        const template = MESSAGES[language][key] !== undefined ? MESSAGES[language][key] : MESSAGES[DEFAULT_LANGUAGE][key];
+        if (template === undefined) {
+            console.warn('未定義の文言:', key);
+            return key;
+        }
+        return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
+    }
+
+    /**
+     * 選択中の言語（Places API の language にもそのまま使う）
+     * @returns {string} 'ja' / 'en'
+     */
+    function getLanguage() {
+        return language;
+    }
+
+    /**
+     * 表示言語を切り替えて保存し、画面の文言を差し替える
+     * @param {string} lang - 'ja' / 'en'
+     */
+    function setLanguage(lang) {
+        if (!MESSAGES[lang] || lang === language) return;
+        language = lang;
+        try {
+            localStorage.setItem(STORAGE_KEY, lang);
+        } catch (e) {
+            console.warn('言語設定を保存できませんでした:', e);
+        }
+        apply();
+        changeHandlers.forEach(handler => handler(lang));
+    }
+
+    /**
+     * data-i18n 属性の付いた要素の文言を選択中の言語に差し替える
+     * @param {ParentNode} [root]
+     */
+    function apply(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(el => {
+            el.textContent = t(el.dataset.i18n);
+        });
+        TRANSLATED_ATTRIBUTES.forEach(attr => {
+            root.querySelectorAll(`[data-i18n-${attr}]`).forEach(el => {
+                el.setAttribute(attr, t(el.getAttribute(`data-i18n-${attr}`)));
+            });
+        });
+        document.documentElement.lang = language;
+        document.title = t('app.title');
+    }
+
+    /**
+     * 言語を切り替えたときに呼ぶ処理を登録
+     * @param {Function} handler - (lang) => void
+     */
+    function onChange(handler) {
+        changeHandlers.push(handler);
+    }
+
+    return {
+        t,
+        getLanguage,
+        setLanguage,
+        apply,
+        onChange
+    };
+})();
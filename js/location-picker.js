@@ -0,0 +1,186 @@
+/**
+ * location-picker.js - 検索地点の手動指定モジュール
+ * 駅名・住所の検索、または地図のタップ / ピンのドラッグで検索地点を選ぶ
+ */
+
+const LocationPicker = (() => {
+    // 初期位置が分からないときの地図の中心（東京駅）
+    const DEFAULT_CENTER = { lat: 35.681236, lng: 139.767125 };
+
+    const els = {
+        message: document.getElementById('location-message'),
+        form: document.getElementById('location-search-form'),
+        query: document.getElementById('location-query'),
+        candidates: document.getElementById('location-candidates'),
+        map: document.getElementById('location-map'),
+        mapNote: document.getElementById('location-map-note'),
+        selected: document.getElementById('location-selected'),
+        confirm: document.getElementById('btn-location-confirm'),
+        back: document.getElementById('btn-location-back')
+    };
+
+    let map = null;
+    let pin = null;
+    let selectedPoint = null;
+    let confirmHandler = null;
+    let cancelHandler = null;
+    let searchId = 0;
+
+    /**
+     * 地点選択画面を開く
+     * @param {Object} options
+     * @param {{lat: number, lng: number, label: string}|null} options.initial - 最初に選択しておく地点
+     * @param {string} [options.message] - 画面上部に表示する案内（GPS失敗時の理由など）
+     * @param {string} [options.confirmLabel] - 決定ボタンの文言（省略時は「この場所で検索」）
+     * @param {Function} options.onConfirm - 決定ボタンで { lat, lng, label } を受け取る
+     * @param {Function} [options.onCancel] - 戻るボタンで呼ばれる（省略時はトップ画面に戻る）
+     */
+    function open({ initial, message, confirmLabel, onConfirm, onCancel }) {
+        confirmHandler = onConfirm;
+        cancelHandler = onCancel || null;
+        els.message.textContent = message || I18n.t('location.message');
+        els.confirm.textContent = confirmLabel || I18n.t('location.confirm');
+        els.candidates.innerHTML = '';
+        UI.showScreen('location');
+
+        els.mapNote.classList.add('hidden');
+        selectPoint(initial);
+        showMap();
+
+        if (!initial) {
+            els.query.focus();
+        }
+    }
+
+    /**
+     * 地図を読み込んで表示（読み込めなければ、駅名・住所で検索するよう案内する）
+     */
+    async function showMap() {
+        const hasMap = await MapView.load();
+        if (!UI.isScreenActive('location')) return;
+
+        els.map.classList.toggle('hidden', !hasMap);
+        els.mapNote.classList.toggle('hidden', hasMap);
+        if (!hasMap) return;
+
+        ensureMap();
+        // 非表示の間はサイズが0なので、表示後に計算し直す
+        map.invalidateSize();
+        const center = selectedPoint || DEFAULT_CENTER;
+        map.setView([center.lat, center.lng], selectedPoint ? 16 : 14);
+        // 読み込み中に選んだ地点にもピンを置く
+        selectPoint(selectedPoint);
+    }
+
+    /**
+     * 駅名・住所を検索して候補を表示
+     */
+    async function search(query) {
+        const trimmed = query.trim();
+        if (!trimmed) return;
+
+        const id = ++searchId;
+        els.candidates.innerHTML = `<li class="location-candidate-note">${I18n.t('location.searching')}</li>`;
+
+        try {
+            const results = await PlacesService.geocode(trimmed);
+            // 新しい検索が始まっていたら古い結果は捨てる
+            if (id !== searchId) return;
+
+            if (results.length === 0) {
+                els.candidates.innerHTML = `<li class="location-candidate-note">${I18n.t('location.notFound')}</li>`;
+                return;
+            }
+
+            els.candidates.innerHTML = '';
+            results.forEach(result => {
+                const item = document.createElement('li');
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'location-candidate';
+                button.textContent = result.label;
+                button.addEventListener('click', () => {
+                    els.candidates.innerHTML = '';
+                    selectPoint(result);
+                    if (map) map.setView([result.lat, result.lng], 16);
+                });
+                item.appendChild(button);
+                els.candidates.appendChild(item);
+            });
+
+            // 候補が1件だけならそのまま選択
+            if (results.length === 1) {
+                selectPoint(results[0]);
+                if (map) map.setView([results[0].lat, results[0].lng], 16);
+            }
+        } catch (error) {
+            if (id !== searchId) return;
+            console.error('地点検索エラー:', error);
+            els.candidates.innerHTML = '';
+            UI.showToast(error.message || I18n.t('location.searchError'));
+        }
+    }
+
+    /**
+     * 地点を選択し、ピンと表示を更新（null で選択解除）
+     */
+    function selectPoint(point) {
+        selectedPoint = point ? { lat: point.lat, lng: point.lng, label: point.label } : null;
+        els.selected.textContent = selectedPoint ? `📍 ${selectedPoint.label}` : I18n.t('location.noneSelected');
+        els.confirm.disabled = !selectedPoint;
+
+        if (!map) return;
+        if (!selectedPoint) {
+            if (pin) pin.remove();
+            pin = null;
+            return;
+        }
+
+        const latLng = [selectedPoint.lat, selectedPoint.lng];
+        if (pin) {
+            pin.setLatLng(latLng);
+        } else {
+            pin = L.marker(latLng, {
+                draggable: true,
+                icon: L.divIcon({ className: 'location-pin', iconSize: [22, 22] })
+            }).addTo(map);
+            pin.on('dragend', () => {
+                const { lat, lng } = pin.getLatLng();
+                selectPoint({ lat, lng, label: I18n.t('location.mapPoint') });
+            });
+        }
+    }
+
+    function ensureMap() {
+        if (map) return;
+        map = L.map(els.map, { zoomControl: true, attributionControl: true });
+        MapView.createTileLayer().addTo(map);
+
+        // 地図をタップした位置にピンを置く
+        map.on('click', (e) => {
+            els.candidates.innerHTML = '';
+            selectPoint({ lat: e.latlng.lat, lng: e.latlng.lng, label: I18n.t('location.mapPoint') });
+        });
+    }
+
+    // イベント設定
+    els.form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        els.query.blur();
+        search(els.query.value);
+    });
+    els.confirm.addEventListener('click', () => {
+        if (selectedPoint && confirmHandler) confirmHandler(selectedPoint);
+    });
+    els.back.addEventListener('click', () => {
+        if (cancelHandler) {
+            cancelHandler();
+        } else {
+            UI.showScreen('top');
+        }
+    });
+
+    return {
+        open
+    };
+})();
@@ -1,6 +1,6 @@
 /**
  * location.js - GPS / Geolocation 取得モジュール
- * ブラウザの Geolocation API で現在地を取得する
+ * ブラウザの Geolocation API で現在地を取得・追跡する
  */
 
 const LocationService = (() => {
@@ -11,7 +11,7 @@ const LocationService = (() => {
     function getCurrentPosition() {
         return new Promise((resolve, reject) => {
             if (!navigator.geolocation) {
-                reject(new Error('お使いのブラウザは位置情報に対応していません。'));
+                reject(new Error(I18n.t('geo.unsupported')));
                 return;
             }
 
@@ -28,28 +28,58 @@ const LocationService = (() => {
                         lng: position.coords.longitude
                     });
                 },
-                (error) => {
-                    let message;
-                    switch (error.code) {
-                        case error.PERMISSION_DENIED:
-                            message = '位置情報の使用が許可されていません。ブラウザの設定から位置情報を許可してください。';
-                            break;
-                        case error.POSITION_UNAVAILABLE:
-                            message = '位置情報を取得できませんでした。';
-                            break;
-                        case error.TIMEOUT:
-                            message = '位置情報の取得がタイムアウトしました。';
-                            break;
-                        default:
-                            message = '位置情報の取得中にエラーが発生しました。';
-                    }
-                    reject(new Error(message));
-                },
+                (error) => reject(new Error(getErrorMessage(error))),
                 options
             );
         });
     }
 
+    /**
+     * 現在地を追跡する（歩きながら距離を更新するため）
+     * @param {Function} onUpdate - ({lat, lng, accuracy}) => void（accuracy は誤差の半径、メートル）
+     * @param {Function} onError - (Error) => void（エラー後も追跡は止まらないため、止めるかは呼び出し側で決める）
+     * @returns {Function} 追跡を止める関数
+     */
+    function watchPosition(onUpdate, onError) {
+        if (!navigator.geolocation) {
+            onError(new Error(I18n.t('geo.unsupported')));
+            return () => {};
+        }
+
+        const watchId = navigator.geolocation.watchPosition(
+            (position) => {
+                onUpdate({
+                    lat: position.coords.latitude,
+                    lng: position.coords.longitude,
+                    accuracy: position.coords.accuracy
+                });
+            },
+            (error) => onError(new Error(getErrorMessage(error))),
+            {
+                enableHighAccuracy: true,
+                timeout: 15000,
+                maximumAge: 5000
+            }
+        );
+        return () => navigator.geolocation.clearWatch(watchId);
+    }
+
+    /**
+     * Geolocation API のエラーを表示用のメッセージに変換
+     */
+    function getErrorMessage(error) {
+        switch (error.code) {
+            case error.PERMISSION_DENIED:
+                return I18n.t('geo.denied');
+            case error.POSITION_UNAVAILABLE:
+                return I18n.t('geo.unavailable');
+            case error.TIMEOUT:
+                return I18n.t('geo.timeout');
+            default:
+                return I18n.t('geo.error');
+        }
+    }
+
     /**
      * 2点間の距離を計算（Haversine公式）
      * @param {number} lat1 
@@ -73,6 +103,57 @@ const LocationService = (() => {
         return degrees * (Math.PI / 180);
     }
 
+    /**
+     * 全員の直線距離のうち最大のものが最も小さくなる地点（最小包含円の中心）
+     * 数km の範囲なので平面とみなし、2点・3点で決まる円を総当たりで調べる（参加者は数人の想定）
+     * @param {Array<{lat: number, lng: number}>} points - 1つ以上
+     * @returns {{lat: number, lng: number, maxDistance: number}} maxDistance は最も遠い人までの距離（メートル）
+     */
+    function findMeetingPoint(points) {
+        // 最初の点を原点にした平面座標（メートル）
+        const origin = points[0];
+        const metersPerLat = toRad(1) * 6371000;
+        const metersPerLng = metersPerLat * Math.cos(toRad(origin.lat));
+        const xy = points.map(p => ({ x: (p.lng - origin.lng) * metersPerLng, y: (p.lat - origin.lat) * metersPerLat }));
+
+        const candidates = [{ x: xy[0].x, y: xy[0].y, r: 0 }];
+        for (let i = 0; i < xy.length; i++) {
+            for (let j = i + 1; j < xy.length; j++) {
+                candidates.push(circleFromTwo(xy[i], xy[j]));
+                for (let k = j + 1; k < xy.length; k++) {
+                    const circle = circleFromThree(xy[i], xy[j], xy[k]);
+                    if (circle) candidates.push(circle);
+                }
+            }
+        }
+
+        // 全員を含む円のうち最も小さいもの（誤差 1cm は許容）
+        const best = candidates
+            .filter(c => xy.every(p => Math.hypot(p.x - c.x, p.y - c.y) <= c.r + 0.01))
+            .reduce((a, b) => (b.r < a.r ? b : a));
+
+        const lat = origin.lat + best.y / metersPerLat;
+        const lng = origin.lng + best.x / metersPerLng;
+        const maxDistance = Math.max(...points.map(p => calculateDistance(lat, lng, p.lat, p.lng)));
+        return { lat, lng, maxDistance };
+    }
+
+    function circleFromTwo(a, b) {
+        return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, r: Math.hypot(a.x - b.x, a.y - b.y) / 2 };
+    }
+
+    // 3点を通る円（一直線上にあれば null）
+    function circleFromThree(a, b, c) {
+        const d = 2 * (a.x * (b.y - c.y) + b.x * (c.y - a.y) + c.x * (a.y - b.y));
+        if (Math.abs(d) < 1e-9) return null;
+        const a2 = a.x * a.x + a.y * a.y;
+        const b2 = b.x * b.x + b.y * b.y;
+        const c2 = c.x * c.x + c.y * c.y;
+        const x = (a2 * (b.y - c.y) + b2 * (c.y - a.y) + c2 * (a.y - b.y)) / d;
+        const y = (a2 * (c.x - b.x) + b2 * (a.x - c.x) + c2 * (b.x - a.x)) / d;
+        return { x, y, r: Math.hypot(a.x - x, a.y - y) };
+    }
+
     /**
      * 距離をフォーマット
      * @param {number} meters 
@@ -92,7 +173,17 @@ const LocationService = (() => {
      */
     function estimateWalkTime(meters) {
         const minutes = Math.ceil(meters / 80);
-        return `徒歩${minutes}分`;
+        return I18n.t('geo.walk', { minutes });
+    }
+
+    /**
+     * 徒歩ルートの所要時間をフォーマット
+     * @param {number} seconds
+     * @returns {string}
+     */
+    function formatWalkDuration(seconds) {
+        const minutes = Math.max(1, Math.ceil(seconds / 60));
+        return I18n.t('geo.walk', { minutes });
     }
 
     /**
@@ -102,14 +193,17 @@ const LocationService = (() => {
      */
     function estimateTaxiTime(meters) {
         const minutes = Math.max(1, Math.ceil(meters / 333));
-        return `タクシー${minutes}分`;
+        return I18n.t('geo.taxi', { minutes });
     }
 
     return {
         getCurrentPosition,
+        watchPosition,
         calculateDistance,
+        findMeetingPoint,
         formatDistance,
         estimateWalkTime,
+        formatWalkDuration,
         estimateTaxiTime
     };
 })();
@@ -0,0 +1,200 @@
+/**
+ * map-view.js - 結果画面の地図表示モジュール
+ * Leaflet で検索の中心・検索範囲・店舗マーカー（混雑度で色分け）を表示する
+ * Leaflet は起動を遅くしないよう、最初に地図を開いたときに読み込む
+ */
+
+const MapView = (() => {
+    const LEAFLET_CSS = {
+        url: 'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
+        integrity: 'sha256-p4NxAoJBhIIN+hmNHrzRCf9tD/miZyoHS5obTRR9BMY='
+    };
+    const LEAFLET_JS = {
+        url: 'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js',
+        integrity: 'sha256-20nQCchB9co0qIjJZRGuk2/Z9VM+kNiyxNV1lvTlZBo='
+    };
+    const TILE_URL = 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png';
+    const TILE_ATTRIBUTION = '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors &copy; <a href="https://carto.com/attributions">CARTO</a>';
+    const USER_COLOR = '#c4a484';
+    const LIVE_COLOR = '#4fc3f7';
+    const DEFAULT_MARKER_COLOR = '#d4b896';
+
+    const container = document.getElementById('results-map');
+
+    let map = null;
+    let userMarker = null;
+    let radiusCircle = null;
+    let liveMarker = null;
+    let liveAccuracyCircle = null;
+    let markersLayer = null;
+    let markersById = new Map();
+    let selectHandler = null;
+    let loading = null;
+
+    /**
+     * Leaflet が読み込まれているか（オフライン時は読み込めない）
+     */
+    function isAvailable() {
+        return typeof L !== 'undefined';
+    }
+
+    /**
+     * Leaflet（CSS / JS）を読み込む（読み込み済みなら何もしない）
+     * @returns {Promise<boolean>} 読み込めたか（失敗した場合は次に呼ばれたときに読み込み直す）
+     */
+    function load() {
+        if (isAvailable()) return Promise.resolve(true);
+        if (loading) return loading;
+
+        const css = document.createElement('link');
+        css.rel = 'stylesheet';
+        const script = document.createElement('script');
+        const elements = [[css, 'href', LEAFLET_CSS], [script, 'src', LEAFLET_JS]];
+
+        loading = Promise.all(elements.map(([element, attribute, resource]) => new Promise((resolve, reject) => {
+            element.integrity = resource.integrity;
+            element.crossOrigin = '';
+            element.onload = resolve;
+            element.onerror = () => reject(new Error(resource.url));
+            element[attribute] = resource.url;
+            document.head.appendChild(element);
+        })))
+            .then(() => isAvailable())
+            .catch(error => {
+                console.warn('地図の読み込みに失敗:', error);
+                elements.forEach(([element]) => element.remove());
+                return false;
+            })
+            .finally(() => {
+                loading = null;
+            });
+        return loading;
+    }
+
+    /**
+     * 地図を描画（検索ごとに呼び出し、既存のマーカーは作り直す）
+     * @param {Object} options
+     * @param {{lat: number, lng: number}} options.center - 検索の中心（現在地または指定した地点）
+     * @param {string} options.centerLabel - 中心マーカーのツールチップ
+     * @param {number} options.radius - 検索半径（メートル）
+     * @param {Array} options.places - 店舗リスト
+     * @param {Function} options.onSelect - マーカーをタップしたときに店舗を受け取る
+     */
+    function render({ center, centerLabel, radius, places, onSelect }) {
+        if (!isAvailable()) return;
+        ensureMap();
+        selectHandler = onSelect;
+
+        const latLng = [center.lat, center.lng];
+        map.setView(latLng, 16);
+
+        if (userMarker) userMarker.remove();
+        userMarker = L.circleMarker(latLng, {
+            radius: 8,
+            color: '#1a1114',
+            weight: 3,
+            fillColor: USER_COLOR,
+            fillOpacity: 1
+        }).bindTooltip(centerLabel).addTo(map);
+
+        if (radiusCircle) radiusCircle.remove();
+        radiusCircle = L.circle(latLng, {
+            radius: radius,
+            color: USER_COLOR,
+            weight: 1,
+            dashArray: '4 6',
+            fillColor: USER_COLOR,
+            fillOpacity: 0.05
+        }).addTo(map);
+
+        markersLayer.clearLayers();
+        markersById = new Map();
+        addPlaces(places);
+
+        map.invalidateSize();
+        map.fitBounds(radiusCircle.getBounds(), { padding: [16, 16] });
+    }
+
+    /**
+     * まだ表示していない店舗のマーカーを追加（次ページ読み込み時など）
+     * @param {Array} places
+     */
+    function addPlaces(places) {
+        if (!map) return;
+
+        places.forEach(place => {
+            if (markersById.has(place.id)) return;
+
+            const color = place.congestion ? place.congestion.color : DEFAULT_MARKER_COLOR;
+            const marker = L.circleMarker([place.lat, place.lng], {
+                radius: 9,
+                color: '#1a1114',
+                weight: 2,
+                fillColor: color,
+                fillOpacity: 0.9
+            });
+            marker.bindTooltip(place.name, { direction: 'top', offset: [0, -8] });
+            marker.on('click', () => {
+                if (selectHandler) selectHandler(place);
+            });
+            marker.addTo(markersLayer);
+            markersById.set(place.id, marker);
+        });
+    }
+
+    /**
+     * 追跡中の現在地と誤差の範囲を表示（null で消す）
+     * 地図は動かさない（店舗を見比べている途中で表示範囲が変わらないように）
+     * @param {{lat: number, lng: number, accuracy: number}|null} position
+     */
+    function setLivePosition(position) {
+        if (liveMarker) liveMarker.remove();
+        if (liveAccuracyCircle) liveAccuracyCircle.remove();
+        liveMarker = null;
+        liveAccuracyCircle = null;
+        if (!map || !position) return;
+
+        const latLng = [position.lat, position.lng];
+        liveAccuracyCircle = L.circle(latLng, {
+            radius: position.accuracy,
+            color: LIVE_COLOR,
+            weight: 1,
+            fillColor: LIVE_COLOR,
+            fillOpacity: 0.1
+        }).addTo(map);
+        liveMarker = L.circleMarker(latLng, {
+            radius: 6,
+            color: '#1a1114',
+            weight: 2,
+            fillColor: LIVE_COLOR,
+            fillOpacity: 1
+        }).addTo(map);
+    }
+
+    function ensureMap() {
+        if (map) return;
+        map = L.map(container, { zoomControl: true, attributionControl: true });
+        createTileLayer().addTo(map);
+        markersLayer = L.layerGroup().addTo(map);
+    }
+
+    /**
+     * 地図タイルのレイヤー（地点選択画面の地図も同じタイルを使う）
+     */
+    function createTileLayer() {
+        return L.tileLayer(TILE_URL, {
+            attribution: TILE_ATTRIBUTION,
+            subdomains: 'abcd',
+            maxZoom: 20
+        });
+    }
+
+    return {
+        isAvailable,
+        load,
+        createTileLayer,
+        render,
+        addPlaces,
+        setLivePosition
+    };
+})();
@@ -0,0 +1,70 @@
+/**
+ * offline-cache.js - オフライン用キャッシュ モジュール
+ * 直近の検索結果と取得済みの店舗詳細を端末内（IndexedDB）に保存し、通信できないときに使う
+ */
+
+const OfflineCache = (() => {
+    const LAST_SEARCH_KEY = 'last';
+    const DETAILS_LIMIT = 100;
+
+    /**
+     * 直近の検索結果を保存（前回分は上書き）
+     * @param {Object} search - { location, radius, places }
+     */
+    async function saveLastSearch(search) {
+        try {
+            await AppDB.put('searches', { ...search, key: LAST_SEARCH_KEY, savedAt: Date.now() });
+        } catch (error) {
+            console.warn('検索結果を保存できませんでした:', error);
+        }
+    }
+
+    /**
+     * 直近の検索結果を取得
+     * @returns {Promise<Object|null>} { location, radius, places, savedAt }
+     */
+    async function loadLastSearch() {
+        try {
+            return (await AppDB.get('searches', LAST_SEARCH_KEY)) || null;
+        } catch (error) {
+            console.warn('前回の検索結果を読み込めませんでした:', error);
+            return null;
+        }
+    }
+
+    /**
+     * 店舗詳細（Places API の result）を保存（古いものは DETAILS_LIMIT 件を超えたら削除）
+     */
+    async function saveDetails(placeId, result) {
+        try {
+            await AppDB.put('details', { id: placeId, result: result, savedAt: Date.now() });
+
+            const records = await AppDB.getAll('details');
+            records.sort((a, b) => b.savedAt - a.savedAt);
+            await Promise.all(records.slice(DETAILS_LIMIT).map(r => AppDB.remove('details', r.id)));
+        } catch (error) {
+            console.warn('店舗詳細を保存できませんでした:', error);
+        }
+    }
+
+    /**
+     * 保存済みの店舗詳細を取得
+     * @returns {Promise<Object|null>} Places API の result
+     */
+    async function loadDetails(placeId) {
+        try {
+            const record = await AppDB.get('details', placeId);
+            return record ? record.result : null;
+        } catch (error) {
+            console.warn('保存済みの店舗詳細を読み込めませんでした:', error);
+            return null;
+        }
+    }
+
+    return {
+        saveLastSearch,
+        loadLastSearch,
+        saveDetails,
+        loadDetails
+    };
+})();
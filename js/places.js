@@ -1,11 +1,49 @@
 /**
- * places.js - Google Places API 連携モジュール
+ * places.js - 店舗検索モジュール
  * 周辺の飲食店を検索し、写真・評価・詳細情報を取得する
+ *
+ * 検索そのものはプロバイダーに委譲する。プロバイダーは Places Web Service と
+ * 同じ JSON 形式で結果を返す次のインターフェースを実装する:
+ *   init(): Promise<void>
+ *   nearbySearch(request): Promise<{ status, results, nextPageToken }>
+ *   getDetails(request): Promise<{ status, result }>
+ *   geocode(request): Promise<{ status, results }>
+ *   walkingDistances(request): Promise<{ status, elements }>（Distance Matrix の rows[0].elements と同じ形式）
+ *   getPhotoUrl(photo, { maxWidth, maxHeight }): string|null
  */
 
 const PlacesService = (() => {
-    let service = null;
-    let map = null;
+    let provider = null;
+    let pagination = null;  // 直近の検索のページ送り状態
+    let detailsCache = null;  // placeId → { result, language, fetchedAt }（sessionStorage から読み込む）
+    const pendingDetails = new Map();  // 取得中の詳細（同じ店舗を同時に取得しない）
+    const checkCache = new Map();  // placeId → { result, fields, language, fetchedAt }（条件の確認に取得した詳細）
+    const routeCache = new Map();  // 出発地点 → Map(placeId → { distance, duration })
+
+    // next_page_token が有効になるまでの待ち時間
+    const PAGE_TOKEN_DELAY_MS = 2000;
+
+    // 徒歩ルート: 1リクエストの目的地の上限（Distance Matrix）と、キャッシュする出発地点の数
+    const ROUTE_BATCH_SIZE = 25;
+    const ROUTE_CACHE_ORIGINS = 5;
+    // 出発地点をまとめる桁数（小数4桁 ≈ 10m 以内なら同じ地点とみなす）
+    const ROUTE_ORIGIN_DIGITS = 4;
+
+    // 日時・食事制限や設備を指定した検索で、条件を確認するために同時に取得する詳細の数と、1回の検索で取得する上限
+    // 確認するのは1ページ目だけ（続きのページ・上限を超えた店舗は、カードが表示されたときの先読みで営業状態を反映する）
+    const DETAILS_CHECK_CONCURRENCY = 4;
+    const DETAILS_CHECK_LIMIT = 12;
+    const DETAILS_CHECK_TTL_MS = 30 * 60 * 1000;
+
+    // 食事制限・設備 → Place Details の項目（表示名は I18n の amenity.<値>）
+    // ハラール・子ども連れは Place Details に項目がないため、レビューだけで確認する
+    const AMENITY_ATTRIBUTES = {
+        vegetarian: 'serves_vegetarian_food',
+        halal: null,
+        reservable: 'reservable',
+        wheelchair: 'wheelchair_accessible_entrance',
+        kids: null
+    };
 
     // カテゴリ → Places API type マッピング
     const CATEGORY_TYPE_MAP = {
@@ -14,6 +52,16 @@ const PlacesService = (() => {
         bar: 'bar'
     };
 
+    // ジャンル（検索キーワード）→ 表示名のキー（結果件数の内訳に使用、カテゴリは category.<カテゴリ>）
+    const CUISINE_LABEL_KEYS = {
+        '居酒屋': 'cuisine.izakaya',
+        'イタリアン': 'cuisine.italian',
+        '中華': 'cuisine.chinese',
+        'フレンチ': 'cuisine.french',
+        '和食': 'cuisine.washoku',
+        'ラーメン': 'cuisine.ramen'
+    };
+
     // 予算 → Places API price level マッピング
     const BUDGET_PRICE_MAP = {
         '1000': { min: 0, max: 1 },
@@ -23,203 +71,758 @@ const PlacesService = (() => {
         '10001': { min: 3, max: 4 }
     };
 
-    // Place types → 雰囲気タグ マッピング
-    const ATMOSPHERE_TAGS = {
-        'fine_dining_restaurant': '🌟 高級ダイニング',
-        'japanese_restaurant': '🏯 和の雰囲気',
-        'french_restaurant': '🇫🇷 フレンチ',
-        'italian_restaurant': '🇮🇹 イタリアン',
-        'steak_house': '🥩 ステーキハウス',
-        'sushi_restaurant': '🍣 寿司',
-        'seafood_restaurant': '🦞 シーフード',
-        'brunch_restaurant': '🥞 ブランチ',
-        'ramen_restaurant': '🍜 ラーメン',
-        'barbecue_restaurant': '🔥 焼肉・BBQ',
-        'bar': '🥂 バー',
-        'wine_bar': '🍷 ワインバー',
-        'cocktail_bar': '🍸 カクテルバー',
-        'cafe': '☕ カフェ',
-        'coffee_shop': '☕ コーヒーショップ'
+    // おすすめ順のベイズ平均（レビューが少ない店の評価を全体平均に寄せる）
+    const RATING_PRIOR_MEAN = 3.8;
+    const RATING_PRIOR_WEIGHT = 50;
+
+    // 混雑度の並び順（空いている順）
+    const CONGESTION_ORDER = { empty: 0, low: 1, medium: 2, high: 3 };
+
+    // 並び順 → 比較関数（同順位はおすすめ順で並べる）
+    const SORT_COMPARATORS = {
+        recommended: (a, b) => compareRecommended(a, b),
+        nearest: (a, b) => (a.distance - b.distance) || compareRecommended(a, b),
+        leastCrowded: (a, b) => (congestionRank(a) - congestionRank(b)) || compareRecommended(a, b),
+        cheapest: (a, b) => (priceRank(a) - priceRank(b)) || compareRecommended(a, b)
     };
 
+    // 店舗詳細のキャッシュ（タブを閉じるまで有効）
+    const DETAILS_CACHE_KEY = 'lets-eat:details';
+    const DETAILS_CACHE_TTL_MS = 30 * 60 * 1000;
+    const DETAILS_CACHE_LIMIT = 60;
+
+    // 雰囲気タグにする Place types（表示名は I18n の atmosphere.<type>）
+    const ATMOSPHERE_TYPES = [
+        'fine_dining_restaurant',
+        'japanese_restaurant',
+        'french_restaurant',
+        'italian_restaurant',
+        'steak_house',
+        'sushi_restaurant',
+        'seafood_restaurant',
+        'brunch_restaurant',
+        'ramen_restaurant',
+        'barbecue_restaurant',
+        'bar',
+        'wine_bar',
+        'cocktail_bar',
+        'cafe',
+        'coffee_shop'
+    ];
+
     /**
-     * Places Serviceを初期化
+     * プロバイダーを初期化して検索に使用する
+     * @param {Object} placesProvider - GooglePlacesProvider / FixturePlacesProvider など
+     * @returns {Promise<void>}
      */
-    function init() {
-        const mapDiv = document.createElement('div');
-        mapDiv.style.display = 'none';
-        document.body.appendChild(mapDiv);
-        map = new google.maps.Map(mapDiv);
-        service = new google.maps.places.PlacesService(map);
+    async function init(placesProvider) {
+        await placesProvider.init();
+        provider = placesProvider;
     }
 
     /**
-     * 周辺のお店を検索
-     * @param {{lat: number, lng: number}} location - 現在地
-     * @param {Object} filters - フィルター設定
-     * @returns {Promise<Array>} - 店舗リスト
+     * 周辺のお店を検索（1ページ目）
+     * カテゴリ・ジャンルを複数選んだ場合は組み合わせごとに並行して検索し、place_id で重複を除く
+     * 続きのページは loadMoreResults で取得する
+     * @param {{lat: number, lng: number}} location - 検索の中心
+     * @param {Object} filters - フィルター設定（category / cuisine / budget は配列）
+     * @param {Date|null} [at] - この日時に営業しているお店を探す（省略時は今営業しているお店）
+     * @param {Object} [options]
+     * @param {boolean} [options.widened] - 範囲を広げた再検索（条件を確認する上限を直前の検索と共有する）
+     * @returns {Promise<Array>} - 店舗リスト（各店舗の matchedBy にヒットした選択肢の名前が入る）
      */
-    function searchNearby(location, filters) {
-        return new Promise((resolve, reject) => {
-            if (!service) {
-                reject(new Error('Places APIが初期化されていません。ページを再読み込みしてください。'));
-                return;
-            }
+    async function searchNearby(location, filters, at = null, { widened = false } = {}) {
+        if (!provider) {
+            throw new Error(I18n.t('places.notReady'));
+        }
+
+        const radius = parseInt(filters.distance) || 800;
+        const queries = buildQueries(location, radius, filters, at);
+
+        console.log('Places API リクエスト:', queries.map(q => ({ ...q.request, location: `${location.lat}, ${location.lng}` })));
+
+        pagination = {
+            queries: queries,
+            location: location,
+            filters: filters,
+            at: at,
+            placesById: new Map(),
+            pending: null,
+            // 条件の確認に使える詳細の取得回数
+            checks: widened && pagination ? pagination.checks : { remaining: DETAILS_CHECK_LIMIT }
+        };
+
+        let places = await fetchPages(pagination, queries);
 
-            const type = CATEGORY_TYPE_MAP[filters.category] || 'restaurant';
-            const radius = parseInt(filters.distance) || 800;
+        // 1ページ目がフィルターで全滅しても、続きのページがあれば読み進める
+        while (places.length === 0 && hasMoreResults()) {
+            places = await loadMoreResults();
+        }
+
+        return sortPlaces(places);
+    }
 
+    /**
+     * 選択されたカテゴリ × ジャンルの組み合わせごとにリクエストを作成
+     * ジャンルはレストランにだけ適用する
+     * @returns {Array<{label: string, request: Object, nextPageToken: string|null, readyAt: number}>}
+     */
+    function buildQueries(location, radius, filters, at) {
+        const categories = filters.category.length > 0 ? filters.category : ['restaurant'];
+
+        // 喫煙はすべてのリクエストにキーワードとして付ける
+        let smokingKeyword = null;
+        if (filters.smoking === 'allowed') {
+            smokingKeyword = '喫煙可';
+        } else if (filters.smoking === 'no-smoking') {
+            smokingKeyword = '禁煙';
+        }
+
+        const selections = [];
+        categories.forEach(category => {
+            const type = CATEGORY_TYPE_MAP[category] || 'restaurant';
+            if (category === 'restaurant' && filters.cuisine.length > 0) {
+                filters.cuisine.forEach(cuisine => {
+                    const label = CUISINE_LABEL_KEYS[cuisine] ? I18n.t(CUISINE_LABEL_KEYS[cuisine]) : cuisine;
+                    selections.push({ label, type, cuisine });
+                });
+            } else {
+                selections.push({ label: I18n.t(`category.${category}`), type, cuisine: null });
+            }
+        });
+
+        return selections.map(({ label, type, cuisine }) => {
             const request = {
-                location: new google.maps.LatLng(location.lat, location.lng),
+                location: { lat: location.lat, lng: location.lng },
                 radius: radius,
                 type: type,
-                openNow: true,  // API側で営業中の店舗を優先
-                language: 'ja'
+                language: I18n.getLanguage()
             };
 
-            // キーワード検索（ジャンル + 喫煙）
-            const keywords = [];
-            if (filters.cuisine) {
-                keywords.push(filters.cuisine);
-            }
-            if (filters.smoking === 'allowed') {
-                keywords.push('喫煙可');
-            } else if (filters.smoking === 'no-smoking') {
-                keywords.push('禁煙');
+            // API側で営業中の店舗を優先（日時を指定した場合は週間の営業時間で絞り込む）
+            if (!at) {
+                request.openNow = true;
             }
+
+            // キーワード検索（ジャンル + 喫煙）
+            const keywords = [cuisine, smokingKeyword].filter(Boolean);
             if (keywords.length > 0) {
                 request.keyword = keywords.join(' ');
             }
 
-            console.log('Places API リクエスト:', { ...request, location: `${location.lat}, ${location.lng}`, radius });
-
-            service.nearbySearch(request, (results, status) => {
-                console.log('Places API ステータス:', status);
-                console.log('Places API 結果件数:', results ? results.length : 0);
-
-                if (status === google.maps.places.PlacesServiceStatus.OK && results) {
-                    let places = results.map(place => formatPlace(place, location));
-                    console.log('フォーマット後:', places.length, '件');
-
-                    // 営業中の店舗を優先（営業時間外は除外、不明はOK）
-                    places = places.filter(p => p.isOpen !== false);
-                    console.log('営業中フィルター後:', places.length, '件');
-
-                    // 距離でフィルタリング（API radius は概算なので正確に絞る）
-                    places = places.filter(p => p.distance <= radius);
-                    console.log('距離フィルター後:', places.length, '件');
-
-                    // 予算フィルタリング
-                    if (filters.budget) {
-                        const priceRange = BUDGET_PRICE_MAP[filters.budget];
-                        if (priceRange) {
-                            places = places.filter(p => {
-                                if (p.priceLevel === undefined || p.priceLevel === null) return true;
-                                return p.priceLevel >= priceRange.min && p.priceLevel <= priceRange.max;
-                            });
-                        }
-                        console.log('予算フィルター後:', places.length, '件');
-                    }
+            return { label, request, nextPageToken: null, readyAt: 0 };
+        });
+    }
 
-                    // 評価順にソート（高い順 → 同評価ならレビュー数順）
-                    places.sort((a, b) => {
-                        const ratingDiff = (b.rating || 0) - (a.rating || 0);
-                        if (ratingDiff !== 0) return ratingDiff;
-                        return (b.ratingsTotal || 0) - (a.ratingsTotal || 0);
-                    });
-
-                    resolve(places);
-                } else if (status === google.maps.places.PlacesServiceStatus.ZERO_RESULTS) {
-                    resolve([]);
-                } else {
-                    let errorMsg = 'お店の検索に失敗しました。';
-                    if (status === 'REQUEST_DENIED') {
-                        errorMsg = 'APIキーが無効、または「Places API」が有効化されていません。Google Cloud Consoleで「Places API」（※ New ではない方）を有効にしてください。';
-                    } else if (status === 'OVER_QUERY_LIMIT') {
-                        errorMsg = 'API使用制限を超えました。しばらく待ってからお試しください。';
-                    } else if (status === 'INVALID_REQUEST') {
-                        errorMsg = 'リクエストが無効です。ページを再読み込みしてください。';
-                    }
-                    console.error('Places API エラー:', status, errorMsg);
-                    reject(new Error(errorMsg));
-                }
-            });
+    /**
+     * 直近の検索の選択肢の名前（結果件数の内訳表示用、選択が1つなら空配列）
+     * @returns {Array<string>}
+     */
+    function getSelectionLabels() {
+        if (!pagination || pagination.queries.length < 2) return [];
+        return pagination.queries.map(q => q.label);
+    }
+
+    /**
+     * 続きのページがあるか
+     */
+    function hasMoreResults() {
+        return !!pagination && pagination.queries.some(q => q.nextPageToken);
+    }
+
+    /**
+     * 次のページを取得（フィルター済み・評価順）
+     * 続きがあるリクエストすべてについて並行して次のページを取得する
+     * 取得中に呼ばれた場合は同じ結果を待つ。新しい検索が始まった場合は空配列を返す
+     * @returns {Promise<Array>} - 新たに見つかった店舗のみ
+     */
+    function loadMoreResults() {
+        const state = pagination;
+        if (!state || !hasMoreResults()) {
+            return Promise.resolve([]);
+        }
+        if (state.pending) {
+            return state.pending;
+        }
+
+        state.pending = (async () => {
+            const queries = state.queries.filter(q => q.nextPageToken);
+
+            // next_page_token は発行から有効になるまで少し時間がかかる
+            const wait = Math.max(...queries.map(q => q.readyAt)) - Date.now();
+            if (wait > 0) {
+                await delay(wait);
+            }
+
+            const places = await fetchPages(state, queries, true);
+            return pagination === state ? sortPlaces(places) : [];
+        })();
+
+        return state.pending.finally(() => {
+            state.pending = null;
         });
     }
 
     /**
-     * 店舗の詳細情報を取得（モーダル表示時に呼び出し）
-     * @param {string} placeId
-     * @returns {Promise<Object>}
+     * 複数のリクエストを並行して取得し、新しい店舗をまとめて返す
+     * 一部が失敗しても他の結果は使う。すべて失敗した場合は最初のエラーを投げる
+     */
+    async function fetchPages(state, queries, nextPage = false) {
+        const outcomes = await Promise.allSettled(
+            queries.map(query => fetchPage(state, query, nextPage ? query.nextPageToken : null))
+        );
+
+        const failures = outcomes.filter(o => o.status === 'rejected');
+        if (failures.length === outcomes.length) {
+            throw failures[0].reason;
+        }
+        failures.forEach(f => console.warn('一部の検索に失敗しました:', f.reason));
+
+        return outcomes
+            .filter(o => o.status === 'fulfilled')
+            .reduce((all, o) => all.concat(o.value), []);
+    }
+
+    /**
+     * 1ページ分を取得してフィルタリング（ページ送り状態も更新する）
+     * 他のリクエストで取得済みの店舗は、ヒットした選択肢を追加するだけにする
      */
-    function getPlaceDetails(placeId) {
-        return new Promise((resolve, reject) => {
-            if (!service) {
-                reject(new Error('Places APIが初期化されていません'));
+    async function fetchPage(state, query, pageToken) {
+        const request = pageToken ? { ...query.request, pageToken } : query.request;
+        let response = await provider.nearbySearch(request);
+
+        // トークンがまだ有効になっていなければ一度だけ待って再試行
+        if (pageToken && response.status === 'INVALID_REQUEST') {
+            await delay(PAGE_TOKEN_DELAY_MS);
+            response = await provider.nearbySearch(request);
+        }
+
+        const { status, results, nextPageToken } = response;
+        console.log('Places API ステータス:', query.label, status);
+        console.log('Places API 結果件数:', query.label, results ? results.length : 0);
+
+        if (status === 'ZERO_RESULTS') {
+            query.nextPageToken = null;
+            return [];
+        }
+        if (status !== 'OK' || !results) {
+            query.nextPageToken = null;
+            const errorMsg = getSearchErrorMessage(status);
+            console.error('Places API エラー:', status, errorMsg);
+            const error = new Error(errorMsg);
+            error.status = status;  // 呼び出し側で通信エラーを判別できるように
+            throw error;
+        }
+
+        query.nextPageToken = nextPageToken || null;
+        query.readyAt = Date.now() + PAGE_TOKEN_DELAY_MS;
+
+        const fresh = [];
+        results.forEach(raw => {
+            const known = state.placesById.get(raw.place_id);
+            if (known) {
+                if (!known.matchedBy.includes(query.label)) known.matchedBy.push(query.label);
                 return;
             }
+            const place = { ...formatPlace(raw, state.location, state.at), matchedBy: [query.label] };
+            state.placesById.set(place.id, place);
+            fresh.push(place);
+        });
 
-            const request = {
-                placeId: placeId,
-                fields: [
-                    'opening_hours',
-                    'reviews',
-                    'types',
-                    'editorial_summary',
-                    'website',
-                    'formatted_phone_number',
-                    'url'
-                ],
-                language: 'ja'
-            };
+        // 検索範囲の絞り込み・近い順の並び替えには徒歩ルートの距離を使う
+        await applyWalkingRoutes(fresh, state.location);
 
-            service.getDetails(request, (place, status) => {
-                if (status === google.maps.places.PlacesServiceStatus.OK && place) {
-                    // 正確な営業時間判定
-                    let isActuallyOpen = null;
-                    if (place.opening_hours && place.opening_hours.weekday_text) {
-                        isActuallyOpen = HoursParser.isCurrentlyOpen(place.opening_hours.weekday_text);
-                    }
+        const places = filterPlaces(fresh, state.filters, query.request.radius);
+        // 続きのページも同じ上限の中で確認する（上限を超えた店舗は確認できない店舗として表示する）
+        const needsCheck = state.at || state.filters.amenity.length > 0;
+        return needsCheck ? verifyWithDetails(places, state) : places;
+    }
 
-                    resolve({
-                        openingHours: place.opening_hours || null,
-                        reviews: place.reviews || [],
-                        types: place.types || [],
-                        editorialSummary: place.editorial_summary ? place.editorial_summary.text : null,
-                        website: place.website || null,
-                        phone: place.formatted_phone_number || null,
-                        mapsUrl: place.url || null,
-                        isActuallyOpen: isActuallyOpen  // 正確な営業状態
-                    });
-                } else {
-                    console.warn('Place Details 取得失敗:', status);
-                    resolve(null); // エラーでも表示を止めない
+    /**
+     * 出発地点からの徒歩ルートの距離・所要時間で店舗の距離を上書きする（取得できなかった店舗は直線距離にする）
+     * 出発地点ごとにキャッシュし、同じ地点からの再検索・次ページ・現在地の追跡では取得済みの店舗を問い合わせない
+     * 並行する他のリクエストが同じ店舗オブジェクトを参照しているため、新しいオブジェクトにはしない
+     * @param {Array} places
+     * @param {{lat: number, lng: number}} origin
+     */
+    async function applyWalkingRoutes(places, origin) {
+        const routes = getRouteCache(origin);
+        const missing = places.filter(place => !routes.has(place.id));
+
+        for (let i = 0; i < missing.length; i += ROUTE_BATCH_SIZE) {
+            const batch = missing.slice(i, i + ROUTE_BATCH_SIZE);
+            try {
+                const { status, elements } = await provider.walkingDistances({
+                    origin: origin,
+                    destinations: batch.map(place => ({ lat: place.lat, lng: place.lng })),
+                    language: I18n.getLanguage()
+                });
+                if (status !== 'OK') {
+                    console.warn('徒歩ルートの取得に失敗:', status);
+                    continue;
                 }
-            });
+                batch.forEach((place, index) => {
+                    const element = elements[index];
+                    if (element && element.status === 'OK') {
+                        routes.set(place.id, { distance: element.distance.value, duration: element.duration.value });
+                    }
+                });
+            } catch (e) {
+                console.warn('徒歩ルートの取得に失敗:', e);
+            }
+        }
+
+        places.forEach(place => {
+            Object.assign(place, withDistanceFrom(place, origin, routes.get(place.id) || null));
         });
     }
 
     /**
-     * Places APIの結果を整形
+     * 追跡中の現在地からの距離・所要時間を見積もった店舗を返す（徒歩ルートは問い合わせない）
+     * 検索地点からの徒歩ルートが分かっていれば、その直線距離との比率で現在地からの直線距離を補正する
+     * @param {Object} place - 整形済みの店舗
+     * @param {{lat: number, lng: number}} position
+     * @returns {Object} 新しいオブジェクト
      */
-    function formatPlace(place, userLocation) {
-        const distance = LocationService.calculateDistance(
-            userLocation.lat,
-            userLocation.lng,
-            place.geometry.location.lat(),
-            place.geometry.location.lng()
-        );
+    function withEstimatedDistanceFrom(place, position) {
+        const origin = pagination ? pagination.location : null;
+        const route = origin ? getRouteCache(origin).get(place.id) : null;
+        const straight = route ? LocationService.calculateDistance(origin.lat, origin.lng, place.lat, place.lng) : 0;
+        if (!route || straight === 0 || route.distance === 0) {
+            return withDistanceFrom(place, position);
+        }
+
+        const ratio = Math.max(1, route.distance / straight);
+        const distance = Math.round(LocationService.calculateDistance(position.lat, position.lng, place.lat, place.lng) * ratio);
+        return withDistanceFrom(place, position, {
+            distance: distance,
+            duration: Math.round(route.duration * distance / route.distance)
+        });
+    }
+
+    /**
+     * 出発地点の徒歩ルートのキャッシュ（古い出発地点から上限まで削除）
+     */
+    function getRouteCache(origin) {
+        const key = `${origin.lat.toFixed(ROUTE_ORIGIN_DIGITS)},${origin.lng.toFixed(ROUTE_ORIGIN_DIGITS)}`;
+        let routes = routeCache.get(key);
+        if (routes) {
+            routeCache.delete(key);
+        } else {
+            routes = new Map();
+        }
+        routeCache.set(key, routes);
+        while (routeCache.size > ROUTE_CACHE_ORIGINS) {
+            routeCache.delete(routeCache.keys().next().value);
+        }
+        return routes;
+    }
+
+    /**
+     * 店舗詳細で条件を確認して絞り込む（日時・食事制限や設備を指定した検索用）
+     * 営業時間: Nearby Search の open_now は今の状態なので、週間スケジュールで判定する（分からない店舗は残す）
+     * 食事制限・設備: 対応していないと分かった店舗は除き、確認できない店舗は残して amenityStatus を 'unknown' にする
+     * 詳細の取得は検索ごとの上限まで、おすすめ順に上から確認する（上限を超えた店舗は確認できない店舗として扱う）
+     */
+    async function verifyWithDetails(places, state) {
+        const amenities = state.filters.amenity;
+        const fields = getCheckFields(state);
+        const ordered = sortPlaces(places);
+
+        for (let i = 0; i < ordered.length; i += DETAILS_CHECK_CONCURRENCY) {
+            const batch = ordered.slice(i, i + DETAILS_CHECK_CONCURRENCY);
+            await Promise.all(batch.map(async place => {
+                const details = await getCheckDetails(place, fields, state.checks);
+
+                if (amenities.length > 0) {
+                    place.amenityStatus = getAmenityStatus(details, amenities);
+                }
+                if (state.at && details && details.schedule) {
+                    place.weekdayText = details.openingHours.weekday_text;
+                    place.schedule = details.schedule;
+                    place.hoursStatus = HoursParser.getStatus(details.schedule, state.at);
+                    place.isOpen = place.hoursStatus.isOpen;
+                }
+            }));
+        }
+
+        places = places.filter(p => p.isOpen !== false);
+        if (amenities.length > 0) {
+            places = places.filter(p => !Object.values(p.amenityStatus).includes('no'));
+        }
+        console.log('詳細の確認後:', places.length, '件');
+        return places;
+    }
+
+    /**
+     * 条件の確認に必要な Place Details の項目（表示用の詳細より少なくして課金を抑える）
+     */
+    function getCheckFields(state) {
+        const fields = [];
+        if (state.at) {
+            fields.push('opening_hours');
+        }
+        if (state.filters.amenity.length > 0) {
+            // レビューは項目がない・未登録の設備の確認に使う
+            fields.push('reviews', ...state.filters.amenity.map(amenity => AMENITY_ATTRIBUTES[amenity]).filter(Boolean));
+        }
+        return fields;
+    }
+
+    /**
+     * 条件の確認に使う詳細を取得
+     * 表示用の詳細・確認済みの詳細がキャッシュにあれば API は呼ばない
+     * @param {Object} place
+     * @param {Array<string>} fields - getCheckFields の結果
+     * @param {{remaining: number}} checks - この検索で取得できる残り回数
+     *                                       （レート制限・通信エラーで失敗したら、残りの店舗は問い合わせない）
+     * @returns {Promise<Object|null>} 上限に達した・取得できなかった場合は null
+     */
+    async function getCheckDetails(place, fields, checks) {
+        const cached = getCachedDetails(place.id) || getCachedCheck(place.id, fields);
+        if (cached) return cached;
+        if (checks.remaining <= 0) return null;
+        checks.remaining--;
 
-        let isOpen = null;
         try {
-            if (place.opening_hours) {
-                isOpen = place.opening_hours.isOpen();
+            const { status, result } = await provider.getDetails({
+                placeId: place.id,
+                fields: fields,
+                language: I18n.getLanguage()
+            });
+            if (status !== 'OK' || !result) {
+                console.warn('詳細の確認に失敗:', place.name, status);
+                if (status !== 'NOT_FOUND') checks.remaining = 0;
+                return null;
+            }
+            checkCache.delete(place.id);
+            checkCache.set(place.id, { result: result, fields: fields, language: I18n.getLanguage(), fetchedAt: Date.now() });
+            while (checkCache.size > DETAILS_CACHE_LIMIT) {
+                checkCache.delete(checkCache.keys().next().value);
             }
+            return toDetails(result);
         } catch (e) {
-            isOpen = null;
+            console.warn('詳細の確認に失敗:', place.name, e);
+            checks.remaining = 0;
+            return null;
         }
+    }
+
+    /**
+     * 条件の確認に取得した詳細のキャッシュ（必要な項目をすべて取得したもののみ）
+     */
+    function getCachedCheck(placeId, fields) {
+        const entry = checkCache.get(placeId);
+        if (!entry || Date.now() - entry.fetchedAt > DETAILS_CHECK_TTL_MS || entry.language !== I18n.getLanguage() ||
+            !fields.every(field => entry.fields.includes(field))) {
+            return null;
+        }
+        return toDetails(entry.result);
+    }
+
+    /**
+     * 食事制限・設備への対応状況を判定
+     * Place Details の項目を優先し、項目がなければレビューの言及で判定する
+     * @param {Object|null} details - getPlaceDetails の結果（取得できなければ null）
+     * @param {Array<string>} amenities - 'vegetarian' / 'halal' / 'reservable' / 'wheelchair' / 'kids'
+     * @returns {Object} amenity → 'yes'（対応）/ 'no'（非対応）/ 'unknown'（要確認）
+     */
+    function getAmenityStatus(details, amenities) {
+        const reviewTags = details ? ReviewAnalyzer.analyze(details.reviews) : [];
+
+        const status = {};
+        amenities.forEach(amenity => {
+            const attribute = AMENITY_ATTRIBUTES[amenity];
+            const value = details && attribute ? details.attributes[attribute] : null;
+            const tag = reviewTags.find(t => t.id === amenity);
+
+            if (value === true || value === false) {
+                status[amenity] = value ? 'yes' : 'no';
+            } else if (tag && tag.confident) {
+                status[amenity] = 'yes';
+            } else if (tag && tag.count === 0) {
+                // 否定の言及だけがある（「予約できない」「ベジタリアン向けのメニューはない」）
+                status[amenity] = 'no';
+            } else {
+                status[amenity] = 'unknown';
+            }
+        });
+        return status;
+    }
+
+    /**
+     * 営業状態・距離・予算でフィルタリング
+     */
+    function filterPlaces(places, filters, radius) {
+        console.log('フォーマット後:', places.length, '件');
+
+        // 営業中の店舗を優先（営業時間外は除外、不明はOK）
+        places = places.filter(p => p.isOpen !== false);
+        console.log('営業中フィルター後:', places.length, '件');
+
+        // 距離でフィルタリング（API radius は概算なので正確に絞る）
+        places = places.filter(p => p.distance <= radius);
+        console.log('距離フィルター後:', places.length, '件');
+
+        // 予算フィルタリング（複数選択時はいずれかの価格帯に入ればOK）
+        const priceRanges = filters.budget.map(budget => BUDGET_PRICE_MAP[budget]).filter(Boolean);
+        if (priceRanges.length > 0) {
+            places = places.filter(p => {
+                if (p.priceLevel === undefined || p.priceLevel === null) return true;
+                return priceRanges.some(range => p.priceLevel >= range.min && p.priceLevel <= range.max);
+            });
+            console.log('予算フィルター後:', places.length, '件');
+        }
+
+        return places;
+    }
+
+    /**
+     * 店舗リストを並び替え
+     * ローテーションで後ろに回す店舗（place.rotatedOut）は、並び順を保ったまま最後にまとめる
+     * @param {Array} places
+     * @param {string} [order] - 'recommended' / 'nearest' / 'leastCrowded' / 'cheapest'
+     * @returns {Array} 新しい配列
+     */
+    function sortPlaces(places, order = 'recommended') {
+        const comparator = SORT_COMPARATORS[order] || SORT_COMPARATORS.recommended;
+        return [...places].sort((a, b) => (a.rotatedOut ? 1 : 0) - (b.rotatedOut ? 1 : 0) || comparator(a, b));
+    }
+
+    /**
+     * レビュー数で重み付けした評価（ベイズ平均）
+     * 5.0（3件）より 4.4（900件）の方が高くなる
+     */
+    function getWeightedRating(place) {
+        const count = place.rating ? (place.ratingsTotal || 0) : 0;
+        const rating = place.rating || 0;
+        return (count * rating + RATING_PRIOR_WEIGHT * RATING_PRIOR_MEAN) / (count + RATING_PRIOR_WEIGHT);
+    }
+
+    function compareRecommended(a, b) {
+        const scoreDiff = getWeightedRating(b) - getWeightedRating(a);
+        if (scoreDiff !== 0) return scoreDiff;
+        return (b.ratingsTotal || 0) - (a.ratingsTotal || 0);
+    }
+
+    function congestionRank(place) {
+        return place.congestion ? CONGESTION_ORDER[place.congestion.level] : Object.keys(CONGESTION_ORDER).length;
+    }
+
+    // 価格不明は最後（price_level は 0〜4）
+    function priceRank(place) {
+        return place.priceLevel === undefined || place.priceLevel === null ? 5 : place.priceLevel;
+    }
+
+    function delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * 検索ステータスをエラーメッセージに変換
+     */
+    function getSearchErrorMessage(status) {
+        if (status === 'REQUEST_DENIED') {
+            return I18n.t('places.requestDenied');
+        } else if (status === 'OVER_QUERY_LIMIT') {
+            return I18n.t('places.overQueryLimit');
+        } else if (status === 'INVALID_REQUEST') {
+            return I18n.t('places.invalidRequest');
+        } else if (status === 'NETWORK_ERROR') {
+            return I18n.t('places.networkError');
+        }
+        return I18n.t('places.searchFailed');
+    }
+
+    /**
+     * 店舗の営業状態を判定する日時
+     * 日時を指定した検索の結果はその日時（place.evaluatedAt）、お気に入り・履歴などそれ以外は現在
+     * @param {Object} place
+     * @returns {Date}
+     */
+    function getEvaluationTime(place) {
+        return place && place.evaluatedAt ? new Date(place.evaluatedAt) : new Date();
+    }
+
+    /**
+     * 週間スケジュールから店舗の営業状態を判定（getEvaluationTime の日時で判定する）
+     * @param {Object} place
+     * @param {Object|null} [schedule] - 省略時は place.schedule
+     * @returns {Object|null} HoursParser.getStatus の結果（スケジュールが不明なら null）
+     */
+    function getHoursStatus(place, schedule = place.schedule) {
+        return HoursParser.getStatus(schedule, getEvaluationTime(place));
+    }
+
+    /**
+     * 店舗の詳細情報を取得（モーダル表示時・先読みで呼び出し）
+     * 有効期限内のキャッシュがあれば API は呼ばない
+     * 取得した詳細は端末にも保存し、通信できないときは保存済みの詳細を使う
+     * @param {string} placeId
+     * @returns {Promise<Object>}
+     */
+    async function getPlaceDetails(placeId) {
+        if (!provider) {
+            throw new Error(I18n.t('places.notReady'));
+        }
+
+        const cached = getCachedDetails(placeId);
+        if (cached) {
+            return cached;
+        }
+        if (!pendingDetails.has(placeId)) {
+            pendingDetails.set(placeId, fetchDetails(placeId).finally(() => {
+                pendingDetails.delete(placeId);
+            }));
+        }
+        return pendingDetails.get(placeId);
+    }
+
+    /**
+     * キャッシュ済みの店舗詳細を同期的に取得（モーダルを最初から埋めて開くため）
+     * @param {string} placeId
+     * @returns {Object|null} 期限切れ・未取得・別の言語で取得したものなら null
+     */
+    function getCachedDetails(placeId) {
+        const entry = loadDetailsCache().get(placeId);
+        if (!entry || Date.now() - entry.fetchedAt > DETAILS_CACHE_TTL_MS || entry.language !== I18n.getLanguage()) {
+            return null;
+        }
+        return toDetails(entry.result);
+    }
+
+    async function fetchDetails(placeId) {
+        const request = {
+            placeId: placeId,
+            fields: [
+                'opening_hours',
+                'reviews',
+                'types',
+                'editorial_summary',
+                'website',
+                'formatted_phone_number',
+                'url',
+                ...Object.values(AMENITY_ATTRIBUTES).filter(Boolean)
+            ],
+            language: I18n.getLanguage()
+        };
+
+        const { status, result } = await provider.getDetails(request);
+        let place = result;
+        if (status === 'OK' && place) {
+            saveDetailsCache(placeId, place);
+            OfflineCache.saveDetails(placeId, place);
+        } else {
+            console.warn('Place Details 取得失敗:', status);
+            place = await OfflineCache.loadDetails(placeId);
+            if (!place) {
+                return null; // エラーでも表示を止めない
+            }
+        }
+
+        return toDetails(place);
+    }
+
+    /**
+     * Place Details の result を表示用に整形
+     * 営業状態は店舗ごとに判定する日時が違うため、schedule から getHoursStatus で判定する
+     */
+    function toDetails(place) {
+        // 週間スケジュール（正確な営業状態の判定に使う）
+        const schedule = place.opening_hours
+            ? HoursParser.parseWeeklySchedule(place.opening_hours.weekday_text)
+            : null;
 
         return {
+            openingHours: place.opening_hours || null,
+            reviews: place.reviews || [],
+            types: place.types || [],
+            editorialSummary: place.editorial_summary ? place.editorial_summary.overview : null,
+            website: place.website || null,
+            phone: place.formatted_phone_number || null,
+            mapsUrl: place.url || null,
+            // 食事制限・設備の項目（未登録なら null）
+            attributes: Object.fromEntries(
+                Object.values(AMENITY_ATTRIBUTES).filter(Boolean).map(name => [name, typeof place[name] === 'boolean' ? place[name] : null])
+            ),
+            schedule: schedule
+        };
+    }
+
+    /**
+     * 詳細キャッシュを sessionStorage から読み込む（初回のみ）
+     */
+    function loadDetailsCache() {
+        if (detailsCache) return detailsCache;
+        detailsCache = new Map();
+        try {
+            const stored = JSON.parse(sessionStorage.getItem(DETAILS_CACHE_KEY) || '[]');
+            stored.forEach(([id, entry]) => detailsCache.set(id, entry));
+        } catch (e) {
+            console.warn('詳細キャッシュを読み込めませんでした:', e);
+        }
+        return detailsCache;
+    }
+
+    /**
+     * 詳細キャッシュに追加して sessionStorage に書き出す（古いものから上限まで削除）
+     */
+    function saveDetailsCache(placeId, result) {
+        const cache = loadDetailsCache();
+        cache.delete(placeId);
+        cache.set(placeId, { result: result, language: I18n.getLanguage(), fetchedAt: Date.now() });
+        while (cache.size > DETAILS_CACHE_LIMIT) {
+            cache.delete(cache.keys().next().value);
+        }
+
+        try {
+            sessionStorage.setItem(DETAILS_CACHE_KEY, JSON.stringify(Array.from(cache.entries())));
+        } catch (e) {
+            // 容量不足・プライベートモードではメモリ上のキャッシュだけを使う
+            console.warn('詳細キャッシュを保存できませんでした:', e);
+        }
+    }
+
+    /**
+     * 駅名・住所から地点を検索
+     * @param {string} query - 「渋谷駅」「東京都千代田区丸の内1-1」など
+     * @returns {Promise<Array<{label: string, lat: number, lng: number}>>} 見つからなければ空配列
+     */
+    async function geocode(query) {
+        if (!provider) {
+            throw new Error(I18n.t('places.notReady'));
+        }
+
+        const { status, results } = await provider.geocode({ address: query, language: I18n.getLanguage() });
+        if (status === 'ZERO_RESULTS') {
+            return [];
+        }
+        if (status !== 'OK' || !results) {
+            const errorMsg = getSearchErrorMessage(status);
+            console.error('Geocoding API エラー:', status, errorMsg);
+            throw new Error(errorMsg);
+        }
+
+        return results.map(result => ({
+            label: result.formatted_address.replace(/^日本、(〒\d{3}-\d{4} )?/, '').replace(/, Japan$/, ''),
+            lat: result.geometry.location.lat,
+            lng: result.geometry.location.lng
+        }));
+    }
+
+    /**
+     * Places APIの結果を整形
+     * @param {Date|null} at - 日時を指定した検索の基準日時（open_now は今の状態なので使わない）
+     */
+    function formatPlace(place, userLocation, at) {
+        const { lat, lng } = place.geometry.location;
+
+        let isOpen = null;
+        if (!at && place.opening_hours && typeof place.opening_hours.open_now === 'boolean') {
+            isOpen = place.opening_hours.open_now;
+        }
+
+        return withDistanceFrom({
             id: place.place_id,
             name: place.name,
             rating: place.rating || null,
@@ -228,15 +831,34 @@ const PlacesService = (() => {
             address: place.vicinity || '',
             isOpen: isOpen,
             types: place.types || [],
-            lat: place.geometry.location.lat(),
-            lng: place.geometry.location.lng(),
+            lat: lat,
+            lng: lng,
+            photoUrl: getPhotoUrl(place),
+            icon: place.icon,
+            congestion: estimateCongestion(place, at || new Date()),
+            // 日時を指定した検索では、営業状態をその日時で判定する
+            evaluatedAt: at ? at.getTime() : null
+        }, userLocation);
+    }
+
+    /**
+     * 基準地点からの距離・所要時間を計算し直した店舗を返す
+     * @param {Object} place - 整形済みの店舗
+     * @param {{lat: number, lng: number}} origin
+     * @param {{distance: number, duration: number}|null} [route] - 徒歩ルート（省略時は直線距離で見積もる）
+     * @returns {Object} 新しいオブジェクト
+     */
+    function withDistanceFrom(place, origin, route = null) {
+        const distance = route
+            ? route.distance
+            : LocationService.calculateDistance(origin.lat, origin.lng, place.lat, place.lng);
+        return {
+            ...place,
             distance: distance,
             distanceText: LocationService.formatDistance(distance),
-            walkTime: LocationService.estimateWalkTime(distance),
+            walkTime: route ? LocationService.formatWalkDuration(route.duration) : LocationService.estimateWalkTime(distance),
             taxiTime: LocationService.estimateTaxiTime(distance),
-            photoUrl: getPhotoUrl(place),
-            icon: place.icon,
-            congestion: estimateCongestion(place)
+            isRouteDistance: !!route
         };
     }
 
@@ -245,26 +867,27 @@ const PlacesService = (() => {
      */
     function getPhotoUrl(place) {
         if (place.photos && place.photos.length > 0) {
-            return place.photos[0].getUrl({ maxWidth: 600, maxHeight: 600 });
+            return provider.getPhotoUrl(place.photos[0], { maxWidth: 600, maxHeight: 600 });
         }
         return null;
     }
 
     /**
      * 混雑度を予測（時間帯 + レビュー数 + 評価で推定）
+     * @param {Object} place - Places APIの結果
+     * @param {Date} at - 予測する日時
      * @returns {{ level: string, label: string, color: string }}
      */
-    function estimateCongestion(place) {
-        const now = new Date();
-        const hour = now.getHours();
-        const day = now.getDay(); // 0=日, 6=土
+    function estimateCongestion(place, at) {
+        const hour = at.getHours();
+        const day = at.getDay(); // 0=日, 6=土
         const isWeekend = day === 0 || day === 6;
         const reviewCount = place.user_ratings_total || 0;
         const rating = place.rating || 3.0;
 
         // 営業時間外・早朝・深夜は必ず「空いている」
         if (hour < 10 || hour >= 22) {
-            return { level: 'empty', label: '空いている', color: '#4fc3f7' };
+            return { level: 'empty', label: I18n.t('congestion.empty'), color: '#4fc3f7' };
         }
 
         // 時間帯スコア（ピーク時間ほど高い）
@@ -292,13 +915,13 @@ const PlacesService = (() => {
         const totalScore = timeScore + popularityScore;
 
         if (totalScore >= 6) {
-            return { level: 'high', label: '混雑', color: '#e57373' };
+            return { level: 'high', label: I18n.t('congestion.high'), color: '#e57373' };
         } else if (totalScore >= 4) {
-            return { level: 'medium', label: 'やや混雑', color: '#ffb74d' };
+            return { level: 'medium', label: I18n.t('congestion.medium'), color: '#ffb74d' };
         } else if (totalScore >= 2) {
-            return { level: 'low', label: '普通', color: '#81c784' };
+            return { level: 'low', label: I18n.t('congestion.low'), color: '#81c784' };
         } else {
-            return { level: 'empty', label: '空いている', color: '#4fc3f7' };
+            return { level: 'empty', label: I18n.t('congestion.empty'), color: '#4fc3f7' };
         }
     }
 
@@ -309,8 +932,8 @@ const PlacesService = (() => {
         const tags = [];
         if (types && types.length > 0) {
             types.forEach(type => {
-                if (ATMOSPHERE_TAGS[type]) {
-                    tags.push(ATMOSPHERE_TAGS[type]);
+                if (ATMOSPHERE_TYPES.includes(type)) {
+                    tags.push(I18n.t(`atmosphere.${type}`));
                 }
             });
         }
@@ -318,42 +941,57 @@ const PlacesService = (() => {
     }
 
     /**
-     * レビューから雰囲気キーワードを抽出
-     */
-    function extractAtmosphereFromReviews(reviews) {
-        const keywords = [
-            { pattern: /高層|眺め|景色|ビュー|夜景|view/i, tag: '🏙️ 眺望が良い' },
-            { pattern: /一軒家|隠れ家|古民家/i, tag: '🏠 一軒家・隠れ家' },
-            { pattern: /個室|プライベート|半個室/i, tag: '🚪 個室あり' },
-            { pattern: /テラス|屋上|オープン/i, tag: '🌿 テラス席' },
-            { pattern: /デート|記念日|誕生日|ロマンチック/i, tag: '💑 デート向き' },
-            { pattern: /おしゃれ|スタイリッシュ|モダン/i, tag: '✨ おしゃれ' },
-            { pattern: /落ち着|静か|大人|上品/i, tag: '🕯️ 落ち着いた雰囲気' },
-            { pattern: /広い|開放|ゆったり/i, tag: '🏛️ 開放的' },
-            { pattern: /カウンター|一人|ソロ/i, tag: '🍸 カウンター席' },
-            { pattern: /接客|サービス|ホスピタリティ/i, tag: '👤 サービス◎' },
-            { pattern: /コスパ|リーズナブル|お得/i, tag: '💰 コスパ良好' }
-        ];
-
-        const found = new Set();
-        reviews.forEach(review => {
-            const text = review.text || '';
-            keywords.forEach(({ pattern, tag }) => {
-                if (pattern.test(text) && found.size < 4) {
-                    found.add(tag);
-                }
-            });
+     * Place types からジャンル（記録の集計用）を決める
+     * 雰囲気タグの種別（寿司・ラーメンなど、types の先頭に近いほど具体的）を優先し、なければカテゴリ（restaurant / cafe / bar）
+     * @param {Array<string>} types
+     * @returns {string|null} Place type（不明なら null）
+     */
+    function getCuisineType(types) {
+        const list = types || [];
+        return list.find(type => ATMOSPHERE_TYPES.includes(type)) ||
+            ['restaurant', 'cafe', 'bar'].find(type => list.includes(type)) ||
+            null;
+    }
+
+    /**
+     * getCuisineType の結果を表示名に変換
+     */
+    function formatCuisineType(type) {
+        if (ATMOSPHERE_TYPES.includes(type)) return I18n.t(`atmosphere.${type}`);
+        if (type === 'restaurant' || type === 'cafe' || type === 'bar') return I18n.t(`category.${type}`);
+        return I18n.t('visits.otherCuisine');
+    }
+
+    /**
+     * 詳細のレビュー・種別から、表示に使う傾向をまとめる（レビューは確信のあるタグだけを使う）
+     * @param {Object} details - getPlaceDetails の結果
+     * @returns {{congestion: Object|null, smoking: Object|null, atmosphere: Array<string>}}
+     *          混雑・喫煙は最も確信度の高いタグ、雰囲気は種別とレビューのタグの表示名
+     */
+    function summarizeDetails(details) {
+        const reviewTags = ReviewAnalyzer.analyze(details.reviews);
+
+        const atmosphere = getAtmosphereTags(details.types);
+        ReviewAnalyzer.confidentTags(reviewTags, 'atmosphere').forEach(tag => {
+            if (!atmosphere.includes(tag.label)) {
+                atmosphere.push(tag.label);
+            }
         });
 
-        return Array.from(found);
+        return {
+            congestion: ReviewAnalyzer.confidentTags(reviewTags, 'congestion')[0] || null,
+            // レビュー同士で食い違う場合は確信なしとなり null
+            smoking: ReviewAnalyzer.confidentTags(reviewTags, 'smoking')[0] || null,
+            atmosphere: atmosphere
+        };
     }
 
     /**
-     * 価格レベルを日本語テキストに変換
+     * 価格レベルを表示用テキストに変換
      */
     function formatPriceLevel(level) {
         if (level === undefined || level === null) return '';
-        const labels = ['無料', '~¥1,000', '¥1,000~3,000', '¥3,000~5,000', '¥5,000~'];
+        const labels = [I18n.t('price.free'), '~¥1,000', '¥1,000~3,000', '¥3,000~5,000', '¥5,000~'];
         return labels[level] || '';
     }
 
@@ -375,11 +1013,23 @@ const PlacesService = (() => {
     return {
         init,
         searchNearby,
+        hasMoreResults,
+        loadMoreResults,
+        getSelectionLabels,
+        getEvaluationTime,
+        getHoursStatus,
+        sortPlaces,
+        withDistanceFrom,
+        withEstimatedDistanceFrom,
         getPlaceDetails,
+        getCachedDetails,
+        geocode,
         formatPriceLevel,
         getNavigationUrl,
         getTabelogSearchUrl,
         getAtmosphereTags,
-        extractAtmosphereFromReviews
+        getCuisineType,
+        formatCuisineType,
+        summarizeDetails
     };
 })();
@@ -0,0 +1,163 @@
+/**
+ * review-analyzer.js - レビュー解析モジュール
+ * ルール表に従ってレビュー本文からタグ（混雑・喫煙・雰囲気・食事制限や設備）を抽出し、確信度を付けて返す
+ */
+
+const ReviewAnalyzer = (() => {
+    // タグのグループ
+    //   exclusive: 同じグループのタグは互いに矛盾する（「喫煙可」と「禁煙」など）
+    //   minCount: 確信ありとするのに必要なレビュー数
+    const GROUPS = {
+        congestion: { exclusive: true, minCount: 2 },
+        smoking: { exclusive: true, minCount: 1 },
+        atmosphere: { exclusive: false, minCount: 1 },
+        // 検索結果の絞り込みに使うため、1件だけの言及（「kids」「booking」など）では対応ありとしない
+        amenity: { exclusive: false, minCount: 2 }
+    };
+
+    // ルール表（表示名は I18n の review.<id>）
+    //   patterns: 日本語・英語のパターン（どれかに一致すればそのレビューで1票）
+    //   negatedTag: 否定された場合に票を入れるタグ（「禁煙ではない」→ 喫煙可）
+    const RULES = [
+        // 混雑
+        { id: 'crowded', group: 'congestion', patterns: [/行列|混雑|満席|待ち時間|並ぶ|人気|賑わ/, /\b(queue|crowded|busy|packed|long wait|waited)\b/i], negatedTag: 'quiet' },
+        { id: 'quiet', group: 'congestion', patterns: [/空いて|すいて|ガラガラ|貸切|穴場/, /\b(empty|quiet|hidden gem|no wait)\b/i] },
+
+        // 喫煙
+        { id: 'smoking', group: 'smoking', patterns: [/喫煙可|喫煙室|喫煙席|タバコが吸え|たばこが吸え/, /\b(smoking (is )?(allowed|ok|area|room|section|seats?)|can smoke)\b/i], negatedTag: 'nonSmoking' },
+        { id: 'separated', group: 'smoking', patterns: [/分煙/, /\b(separate smoking|smoking and non-?smoking)\b/i] },
+        { id: 'nonSmoking', group: 'smoking', patterns: [/完全禁煙|禁煙席|禁煙/, /\b(non-?smoking|no smoking|smoke-?free)\b/i], negatedTag: 'smoking' },
+
+        // 雰囲気
+        { id: 'view', group: 'atmosphere', patterns: [/高層|眺め|景色|ビュー|夜景/, /\b(view|views|skyline)\b/i] },
+        { id: 'hideaway', group: 'atmosphere', patterns: [/一軒家|隠れ家|古民家/, /\b(hideaway|hidden spot|old house)\b/i] },
+        { id: 'privateRoom', group: 'atmosphere', patterns: [/個室|プライベート|半個室/, /\b(private room|private rooms|private dining)\b/i] },
+        { id: 'terrace', group: 'atmosphere', patterns: [/テラス|屋上|オープンエア/, /\b(terrace|rooftop|patio|outdoor seating)\b/i] },
+        { id: 'date', group: 'atmosphere', patterns: [/デート|記念日|誕生日|ロマンチック/, /\b(date night|anniversary|birthday|romantic)\b/i] },
+        { id: 'stylish', group: 'atmosphere', patterns: [/おしゃれ|お洒落|スタイリッシュ|モダン/, /\b(stylish|trendy|modern|chic)\b/i] },
+        { id: 'calm', group: 'atmosphere', patterns: [/落ち着|静か|大人|上品/, /\b(calm|relaxed|cozy|cosy|elegant)\b/i] },
+        { id: 'spacious', group: 'atmosphere', patterns: [/広い|開放|ゆったり/, /\b(spacious|roomy|airy)\b/i] },
+        { id: 'counter', group: 'atmosphere', patterns: [/カウンター|一人|ソロ/, /\b(counter|solo|alone)\b/i] },
+        { id: 'service', group: 'atmosphere', patterns: [/接客|サービス|ホスピタリティ/, /\b(friendly staff|great service|hospitality|attentive)\b/i] },
+        { id: 'value', group: 'atmosphere', patterns: [/コスパ|リーズナブル|お得/, /\b(good value|great value|reasonable|affordable|cheap)\b/i] },
+
+        // 食事制限・設備（Place Details に項目がないもの・未登録のものの確認に使う）
+        { id: 'vegetarian', group: 'amenity', patterns: [/ベジタリアン|ヴィーガン|ビーガン|菜食|精進料理/, /\b(vegetarian|vegan|plant-based|meat-?free)\b/i] },
+        { id: 'halal', group: 'amenity', patterns: [/ハラール|ハラル/, /\bhalal\b/i] },
+        { id: 'reservable', group: 'amenity', patterns: [/予約(でき|可|して|した|必須|推奨)|要予約/, /\b(reservations?|reserved|booked a table|booking)\b/i] },
+        { id: 'wheelchair', group: 'amenity', patterns: [/車椅子|車いす|バリアフリー|スロープ/, /\b(wheelchair|step-free|barrier-free|accessible entrance)\b/i] },
+        { id: 'kids', group: 'amenity', patterns: [/子連れ|子ども連れ|子供連れ|お子様|キッズ|ベビーカー/, /\b(kids?|children|family-friendly|high ?chairs?)\b/i] }
+    ];
+
+    // 否定表現（日本語は一致した語の直後、英語は直前を見る）
+    //   「禁煙ではない」「混雑していない」「個室はない」「not crowded」など
+    const JA_NEGATION_AFTER = /^[ぁ-ん]{0,4}?(ない|無い|なかった|ありません|ませんでした|なし|無し)/;
+    const EN_NEGATION_BEFORE = /\b(not|no|never|without|isn't|wasn't|aren't|weren't|don't|didn't)\b[\w\s'-]{0,15}$/i;
+    const NEGATION_WINDOW = 24;
+
+    // 確信度の計算で足す仮の票数（1件だけの言及では確信度 0.5 になる）
+    const PRIOR_WEIGHT = 1;
+    const MIN_CONFIDENCE = 0.5;
+
+    const rulesById = new Map(RULES.map(rule => [rule.id, rule]));
+
+    /**
+     * レビューを解析してタグごとの票数と確信度を返す
+     * 1件のレビューは1つのタグに1票まで（同じレビューで何度言及しても1票）
+     * @param {Array} reviews - Place Details のレビュー配列
+     * @returns {Array<{id: string, group: string, label: string, count: number, negatedCount: number, confidence: number, confident: boolean}>}
+     *          言及のあったタグのみ、確信度の高い順
+     */
+    function analyze(reviews) {
+        const votes = new Map();
+        const negations = new Map();
+        const add = (map, id) => map.set(id, (map.get(id) || 0) + 1);
+
+        (reviews || []).forEach(review => {
+            const text = review.text || '';
+            const reviewVotes = new Set();
+            const reviewNegations = new Set();
+
+            RULES.forEach(rule => {
+                const result = matchRule(rule, text);
+                if (result === 'positive') {
+                    reviewVotes.add(rule.id);
+                } else if (result === 'negated') {
+                    reviewNegations.add(rule.id);
+                    if (rule.negatedTag) reviewVotes.add(rule.negatedTag);
+                }
+            });
+
+            reviewVotes.forEach(id => add(votes, id));
+            reviewNegations.forEach(id => add(negations, id));
+        });
+
+        const tags = [];
+        rulesById.forEach((rule, id) => {
+            const count = votes.get(id) || 0;
+            const negatedCount = negations.get(id) || 0;
+            if (count === 0 && negatedCount === 0) return;
+
+            const group = GROUPS[rule.group];
+            // 矛盾するグループでは、同じグループの他のタグへの票も反対票として数える
+            const opposing = group.exclusive
+                ? RULES.filter(r => r.group === rule.group && r.id !== id).reduce((sum, r) => sum + (votes.get(r.id) || 0), 0)
+                : 0;
+            const confidence = count / (count + negatedCount + opposing + PRIOR_WEIGHT);
+
+            tags.push({
+                id: id,
+                group: rule.group,
+                label: I18n.t(`review.${id}`),
+                count: count,
+                negatedCount: negatedCount,
+                confidence: Math.round(confidence * 100) / 100,
+                confident: confidence >= MIN_CONFIDENCE && count >= group.minCount
+            });
+        });
+
+        return tags.sort((a, b) => b.confidence - a.confidence || b.count - a.count);
+    }
+
+    /**
+     * 確信のあるタグだけをグループで絞り込む
+     * @param {Array} tags - analyze の結果
+     * @param {string} group - 'congestion' / 'smoking' / 'atmosphere' / 'amenity'
+     * @returns {Array} 確信度の高い順
+     */
+    function confidentTags(tags, group) {
+        return tags.filter(tag => tag.group === group && tag.confident);
+    }
+
+    /**
+     * 1件のレビューに対するルールの判定
+     * @returns {'positive'|'negated'|null} 否定されていない一致があれば positive
+     */
+    function matchRule(rule, text) {
+        let negated = false;
+
+        for (const pattern of rule.patterns) {
+            const regex = new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : pattern.flags + 'g');
+            let match;
+            while ((match = regex.exec(text)) !== null) {
+                const end = match.index + match[0].length;
+                const after = text.slice(end, end + NEGATION_WINDOW);
+                const before = text.slice(Math.max(0, match.index - NEGATION_WINDOW), match.index);
+
+                if (JA_NEGATION_AFTER.test(after) || EN_NEGATION_BEFORE.test(before)) {
+                    negated = true;
+                } else {
+                    return 'positive';
+                }
+                if (match[0].length === 0) regex.lastIndex++;
+            }
+        }
+
+        return negated ? 'negated' : null;
+    }
+
+    return {
+        analyze,
+        confidentTags
+    };
+})();
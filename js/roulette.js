@@ -0,0 +1,213 @@
+/**
+ * roulette.js - おまかせルーレット モジュール
+ * 検索結果から評価と近さで重み付けして1軒を選ぶ（営業時間外のお店は除く）
+ */
+
+const Roulette = (() => {
+    // 止める前に最低限回す時間と、減速しながら止まるまでのコマ数
+    const MIN_SPIN_MS = 1200;
+    const FAST_TICK_MS = 60;
+    const SLOWDOWN_TICKS = 8;
+    // 営業時間を確認するために詳細を取得する上限（API呼び出しを増やしすぎない）
+    const MAX_HOURS_CHECKS = 5;
+    // 近さの重み: この距離で重みが半分になる
+    const DISTANCE_HALF_WEIGHT_M = 400;
+
+    const els = {
+        root: document.getElementById('roulette'),
+        slot: document.getElementById('roulette-slot'),
+        status: document.getElementById('roulette-status'),
+        actions: document.getElementById('roulette-actions'),
+        decide: document.getElementById('btn-roulette-decide'),
+        reroll: document.getElementById('btn-roulette-reroll')
+    };
+
+    let candidates = [];
+    let excludedIds = new Set();
+    let currentPick = null;
+    let decideHandler = null;
+    let spinId = 0;
+
+    /**
+     * ルーレットを開いて回す
+     * @param {Array} places - 検索結果
+     * @param {Object} options
+     * @param {Function} options.onDecide - 「ここに決定」で選ばれた店舗を受け取る
+     */
+    function open(places, { onDecide }) {
+        candidates = places;
+        excludedIds = new Set();
+        decideHandler = onDecide;
+
+        els.root.classList.remove('hidden');
+        Dialog.open(els.root, { onClose: close });
+        spin();
+    }
+
+    function close() {
+        spinId++;  // 回転中なら止める
+        els.root.classList.add('hidden');
+        Dialog.close(els.root);
+    }
+
+    /**
+     * 1軒を選んで、スロットを回してから止める
+     */
+    async function spin() {
+        const id = ++spinId;
+        currentPick = null;
+        els.actions.classList.add('hidden');
+        els.status.textContent = '';
+
+        const pool = candidates.filter(place => !excludedIds.has(place.id) && !isKnownClosed(place));
+        if (pool.length === 0) {
+            renderSlot(null);
+            els.status.textContent = I18n.t('roulette.empty');
+            return;
+        }
+
+        // 選んでいる間（営業時間の確認中も）は高速で回す
+        let index = 0;
+        const timer = setInterval(() => {
+            renderSlot(pool[index++ % pool.length]);
+        }, FAST_TICK_MS);
+
+        let pick;
+        try {
+            [pick] = await Promise.all([choosePick(pool), delay(MIN_SPIN_MS)]);
+        } finally {
+            clearInterval(timer);
+        }
+        if (id !== spinId) return;
+
+        if (!pick) {
+            renderSlot(null);
+            els.status.textContent = I18n.t('roulette.noneOpen');
+            return;
+        }
+
+        // 減速しながら選ばれたお店で止める
+        for (let i = 0; i < SLOWDOWN_TICKS; i++) {
+            renderSlot(pool[index++ % pool.length]);
+            await delay(FAST_TICK_MS * (i + 2));
+            if (id !== spinId) return;
+        }
+        renderSlot(pick);
+        els.slot.classList.add('landed');
+
+        currentPick = pick;
+        els.status.textContent = I18n.t('roulette.picked', { count: pool.length });
+        els.actions.classList.remove('hidden');
+    }
+
+    /**
+     * 重み付き抽選で1軒選び、営業時間が分からなければ詳細を取得して確認する
+     * 営業時間外だった場合は候補から外して選び直す
+     * @returns {Promise<Object|null>}
+     */
+    async function choosePick(pool) {
+        let remaining = pool;
+        let checks = 0;
+
+        while (remaining.length > 0) {
+            const pick = weightedPick(remaining);
+            if (pick.schedule || checks >= MAX_HOURS_CHECKS) {
+                return pick;
+            }
+
+            checks++;
+            const details = await PlacesService.getPlaceDetails(pick.id);
+            const status = details ? PlacesService.getHoursStatus(pick, details.schedule) : null;
+            if (!status || status.isOpen) {
+                return pick;
+            }
+
+            console.log('営業時間外のため候補から除外:', pick.name);
+            excludedIds.add(pick.id);
+            remaining = remaining.filter(place => place !== pick);
+        }
+        return null;
+    }
+
+    /**
+     * 評価と近さで重み付けして1軒選ぶ
+     */
+    function weightedPick(places) {
+        const weights = places.map(getWeight);
+        const total = weights.reduce((sum, w) => sum + w, 0);
+
+        let point = Math.random() * total;
+        for (let i = 0; i < places.length; i++) {
+            point -= weights[i];
+            if (point < 0) return places[i];
+        }
+        return places[places.length - 1];
+    }
+
+    /**
+     * 重み = 評価スコア × 近さスコア
+     * 評価がない店は3.5、距離が分からない店は半分の重みとして扱う
+     */
+    function getWeight(place) {
+        const ratingScore = Math.max(0.5, (place.rating || 3.5) - 2.5);
+        const nearnessScore = typeof place.distance === 'number'
+            ? 1 / (1 + place.distance / DISTANCE_HALF_WEIGHT_M)
+            : 0.5;
+        return ratingScore * nearnessScore;
+    }
+
+    /**
+     * HoursParser で営業時間外と判定済みか（判定できないものは候補に残す）
+     * 日時を指定した検索ではその日時で判定する
+     */
+    function isKnownClosed(place) {
+        if (!place.schedule) return false;
+        const status = PlacesService.getHoursStatus(place);
+        return !!status && !status.isOpen;
+    }
+
+    function renderSlot(place) {
+        els.slot.classList.remove('landed');
+        if (!place) {
+            els.slot.innerHTML = '<p class="roulette-slot-name">🍷</p>';
+            return;
+        }
+
+        const meta = [];
+        if (place.rating) meta.push(`★ ${place.rating.toFixed(1)}`);
+        if (place.walkTime) meta.push(place.walkTime);
+        const priceText = PlacesService.formatPriceLevel(place.priceLevel);
+        if (priceText) meta.push(priceText);
+
+        els.slot.innerHTML = '';
+        const name = document.createElement('p');
+        name.className = 'roulette-slot-name';
+        name.textContent = place.name;
+        const detail = document.createElement('p');
+        detail.className = 'roulette-slot-meta';
+        detail.textContent = meta.join(' · ');
+        els.slot.append(name, detail);
+    }
+
+    function delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    // イベント設定
+    document.getElementById('btn-roulette-close').addEventListener('click', close);
+    els.root.querySelector('.modal-overlay').addEventListener('click', close);
+    els.reroll.addEventListener('click', () => {
+        if (currentPick) excludedIds.add(currentPick.id);
+        spin();
+    });
+    els.decide.addEventListener('click', () => {
+        const pick = currentPick;
+        if (!pick) return;
+        close();
+        if (decideHandler) decideHandler(pick);
+    });
+
+    return {
+        open
+    };
+})();
@@ -8,17 +8,59 @@ const UI = (() => {
     const screens = {
         top: document.getElementById('screen-top'),
         loading: document.getElementById('screen-loading'),
-        results: document.getElementById('screen-results')
+        results: document.getElementById('screen-results'),
+        favorites: document.getElementById('screen-favorites'),
+        location: document.getElementById('screen-location'),
+        group: document.getElementById('screen-group'),
+        settings: document.getElementById('screen-settings'),
+        visits: document.getElementById('screen-visits')
     };
 
+    // 営業状態 → 表示色
+    const HOURS_STATE_COLORS = {
+        open: '#66bb6a',
+        closing: '#ffb74d',
+        closed: '#ef5350',
+        unchecked: '#9e9e9e'
+    };
+
+    // 現在地の誤差（メートル）→ 精度の表示（これ以下なら good / fair、超えれば poor）
+    const ACCURACY_GOOD_M = 20;
+    const ACCURACY_FAIR_M = 50;
+
+    // 比較できる店舗数
+    const COMPARE_MIN = 2;
+    const COMPARE_MAX = 4;
+
     const els = {
         loadingText: document.getElementById('loading-text'),
+        searchPoint: document.getElementById('search-point'),
+        searchPointLabel: document.getElementById('search-point-label'),
         resultsGrid: document.getElementById('results-grid'),
         resultsCount: document.getElementById('results-count'),
+        resultsBreakdown: document.getElementById('results-breakdown'),
+        resultsNote: document.getElementById('results-note'),
+        resultsMore: document.getElementById('results-more'),
+        resultsMap: document.getElementById('results-map'),
         noResults: document.getElementById('no-results'),
+        compareBar: document.getElementById('compare-bar'),
+        compareBarText: document.getElementById('compare-bar-text'),
+        compareOpen: document.getElementById('btn-compare'),
+        compareClear: document.getElementById('btn-compare-clear'),
+        hideMenu: document.getElementById('hide-menu'),
+        hideMenuTitle: document.getElementById('hide-menu-title'),
+        hideMenuCancel: document.getElementById('btn-hide-cancel'),
+        rotation: document.getElementById('setting-rotation'),
+        hiddenList: document.getElementById('hidden-list'),
+        hiddenEmpty: document.getElementById('hidden-empty'),
+        tracking: document.getElementById('btn-tracking'),
+        trackingAccuracy: document.getElementById('tracking-accuracy'),
         modal: document.getElementById('modal-detail'),
+        modalClose: document.getElementById('btn-modal-close'),
         modalPhoto: document.getElementById('modal-photo'),
         modalName: document.getElementById('modal-name'),
+        modalFavorite: document.getElementById('btn-modal-favorite'),
+        modalShare: document.getElementById('btn-modal-share'),
         modalRating: document.getElementById('modal-rating'),
         modalReviews: document.getElementById('modal-reviews'),
         modalPrice: document.getElementById('modal-price'),
@@ -31,22 +73,70 @@ const UI = (() => {
         modalHours: document.getElementById('modal-hours'),
         modalSmokingRow: document.getElementById('modal-smoking-row'),
         modalSmoking: document.getElementById('modal-smoking'),
+        modalAmenityRow: document.getElementById('modal-amenity-row'),
+        modalAmenity: document.getElementById('modal-amenity'),
+        modalGroupRow: document.getElementById('modal-group-row'),
+        modalGroup: document.getElementById('modal-group'),
         modalNavigate: document.getElementById('modal-navigate'),
+        modalVisited: document.getElementById('btn-modal-visited'),
+        modalHide: document.getElementById('btn-modal-hide'),
         modalTabelog: document.getElementById('modal-tabelog'),
+        favoritesGrid: document.getElementById('favorites-grid'),
+        favoritesEmpty: document.getElementById('favorites-empty'),
+        favoritesLocation: document.getElementById('favorites-location'),
+        historyGrid: document.getElementById('history-grid'),
+        historyEmpty: document.getElementById('history-empty'),
         toast: document.getElementById('toast'),
-        toastMessage: document.getElementById('toast-message')
+        toastMessage: document.getElementById('toast-message'),
+        toastLive: document.getElementById('toast-live')
     };
 
     /**
      * 画面を切り替え
      */
     function showScreen(screenName) {
+        const focusedScreen = Object.values(screens).find(s => s.contains(document.activeElement));
         Object.values(screens).forEach(s => s.classList.remove('active'));
         if (screens[screenName]) {
             screens[screenName].classList.add('active');
+            // 非表示になった画面にフォーカスが残らないよう、表示した画面へ移す
+            if (focusedScreen && focusedScreen !== screens[screenName]) {
+                screens[screenName].focus();
+            }
         }
     }
 
+    /**
+     * 指定した画面が表示中か
+     */
+    function isScreenActive(screenName) {
+        return !!screens[screenName] && screens[screenName].classList.contains('active');
+    }
+
+    /**
+     * トップ画面の検索地点表示を更新
+     * @param {string|null} label - 手動で指定した地点名（現在地で検索する場合は null）
+     */
+    function setSearchPoint(label) {
+        els.searchPointLabel.textContent = label ? I18n.t('top.searchPoint', { label }) : '';
+        els.searchPoint.classList.toggle('hidden', !label);
+    }
+
+    /**
+     * 結果画面のリスト / 地図表示を切り替え
+     * @param {string} view - 'list' または 'map'
+     */
+    function showResultsView(view) {
+        const isMap = view === 'map';
+        els.resultsGrid.classList.toggle('hidden', isMap);
+        els.resultsMore.classList.toggle('hidden', isMap);
+        els.resultsMap.classList.toggle('hidden', !isMap);
+        document.querySelectorAll('.view-toggle-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.view === view);
+            btn.setAttribute('aria-pressed', String(btn.dataset.view === view));
+        });
+    }
+
     /**
      * ローディングテキストを更新
      */
@@ -54,45 +144,206 @@ const UI = (() => {
         els.loadingText.textContent = text;
     }
 
+    // モーダルで表示中の店舗
+    let currentPlace = null;
+    // モーダルの開閉を通知する（開いたときは店舗、閉じたときは null を渡す）
+    let modalChangeHandler = null;
+
+    // 無限スクロール（結果末尾の番兵要素が見えたら次ページを読み込む）
+    let loadMoreHandler = null;
+    let loadMoreState = 'done';
+    let sentinelVisible = false;
+
+    const loadMoreObserver = 'IntersectionObserver' in window
+        ? new IntersectionObserver((entries) => {
+            sentinelVisible = entries.some(entry => entry.isIntersecting);
+            requestLoadMore();
+        }, { rootMargin: '400px 0px' })
+        : null;
+
+    // 件数の内訳を表示する選択肢（カテゴリ・ジャンルを複数選んだ検索のみ）
+    let resultSelections = [];
+
+    // 比較に選んだ店舗（選んだ順）と、「比較する」で選んだ店舗を受け取る処理
+    let compareSelection = [];
+    let compareHandler = null;
+
+    // 「興味なし」で店舗と日数（null ならずっと）を受け取る処理と、期間を選んでいる店舗
+    let hideHandler = null;
+    let hidingPlace = null;
+
+    // 「行った」で店舗を受け取る処理（記録フォームを開く）
+    let visitHandler = null;
+
+    // 画面に表示されたカードを通知する（詳細の先読み用）
+    let cardVisibleHandler = null;
+    const cardPlaces = new WeakMap();
+    const cardObserver = 'IntersectionObserver' in window
+        ? new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (!entry.isIntersecting) return;
+                cardObserver.unobserve(entry.target);
+                const place = cardPlaces.get(entry.target);
+                if (place && cardVisibleHandler) cardVisibleHandler(place);
+            });
+        })
+        : null;
+
     /**
      * 検索結果のカードを生成・表示
      * @param {Array} places - 店舗リスト
+     * @param {Object} [options]
+     * @param {Function} [options.onLoadMore] - 末尾までスクロールしたときに呼ばれる（次ページ読み込み）
+     * @param {Array<string>} [options.selections] - 件数の内訳を表示する選択肢の名前
+     * @param {Function} [options.onCardVisible] - カードが画面に表示されたときに店舗を受け取る
+     * @param {Function} [options.onCompare] - 「比較する」で選んだ店舗の配列を受け取る（指定時のみカードに比較の選択ボタンを表示）
      */
-    function renderResults(places) {
+    function renderResults(places, options = {}) {
+        if (cardObserver) cardObserver.disconnect();
         els.resultsGrid.innerHTML = '';
+        loadMoreHandler = options.onLoadMore || null;
+        resultSelections = options.selections || [];
+        cardVisibleHandler = options.onCardVisible || null;
+        compareHandler = options.onCompare || null;
+        compareSelection = [];
+        updateCompareBar();
 
         if (places.length === 0) {
             els.noResults.classList.remove('hidden');
             els.resultsCount.textContent = '';
+            els.resultsBreakdown.classList.add('hidden');
+            setLoadMoreState('done');
             return;
         }
 
         els.noResults.classList.add('hidden');
-        els.resultsCount.textContent = `${places.length}件のお店が見つかりました`;
+        updateResultsCount(places);
 
         places.forEach((place, index) => {
-            const card = createCard(place, index);
+            const card = createCard(place, index, true);
             els.resultsGrid.appendChild(card);
+            observeCard(card, place);
         });
+
+        if (loadMoreObserver) {
+            loadMoreObserver.observe(els.resultsMore);
+        }
+    }
+
+    /**
+     * カードの並びを店舗リストに合わせる
+     * 新しい店舗のカードだけを生成し、表示済みのカードは作り直さずに移動する
+     * リストからなくなった店舗（非表示にしたお店）のカードは削除する
+     * （次ページの追加読み込み・並び替え・非表示で使用）
+     * @param {Array} places - 並び替え済みの全店舗リスト
+     */
+    function syncResults(places) {
+        const existing = new Map(
+            Array.from(els.resultsGrid.children).map(card => [card.dataset.placeId, card])
+        );
+        const ids = new Set(places.map(place => place.id));
+        existing.forEach((card, id) => {
+            if (ids.has(id)) return;
+            card.remove();
+            existing.delete(id);
+        });
+        if (compareSelection.some(place => !ids.has(place.id))) {
+            compareSelection = compareSelection.filter(place => ids.has(place.id));
+            updateCompareBar();
+        }
+
+        let nextCard = null;
+        let added = 0;
+        // 後ろから走査し、直後にあるカードの前へ挿入していく
+        for (let i = places.length - 1; i >= 0; i--) {
+            const place = places[i];
+            let card = existing.get(place.id);
+            if (!card) {
+                card = createCard(place, 0, true);
+                card.style.animationDelay = `${(added++ % 10) * 0.06}s`;
+                els.resultsGrid.insertBefore(card, nextCard);
+                observeCard(card, place);
+            } else if (card.nextSibling !== nextCard) {
+                els.resultsGrid.insertBefore(card, nextCard);
+            }
+            nextCard = card;
+        }
+
+        els.noResults.classList.toggle('hidden', places.length > 0);
+        updateResultsCount(places);
+    }
+
+    /**
+     * カードが画面に表示されたら通知するよう監視する（詳細の先読み用）
+     */
+    function observeCard(card, place) {
+        if (!cardObserver) return;
+        cardPlaces.set(card, place);
+        cardObserver.observe(card);
+    }
+
+    /**
+     * 件数と、選択肢ごとの内訳（複数の選択肢にヒットした店舗はそれぞれに数える）を表示
+     */
+    function updateResultsCount(places) {
+        els.resultsCount.textContent = I18n.t('results.count', { count: places.length });
+
+        const breakdown = resultSelections.map(label => {
+            const count = places.filter(p => p.matchedBy && p.matchedBy.includes(label)).length;
+            return `${label} ${count}`;
+        });
+        els.resultsBreakdown.textContent = breakdown.join(' · ');
+        els.resultsBreakdown.classList.toggle('hidden', breakdown.length === 0);
+    }
+
+    /**
+     * 結果件数の下に補足を表示（空文字で非表示）
+     */
+    function setResultsNote(text) {
+        els.resultsNote.textContent = text || '';
+        els.resultsNote.classList.toggle('hidden', !text);
+    }
+
+    /**
+     * 次ページ読み込みの状態を切り替え
+     * @param {string} state - 'idle'（続きあり）/ 'loading'（読み込み中）/ 'done'（これ以上なし）
+     */
+    function setLoadMoreState(state) {
+        loadMoreState = state;
+        els.resultsMore.classList.toggle('loading', state === 'loading');
+
+        // 読み込み後も末尾が見えたままなら続けて読み込む
+        if (state === 'idle') {
+            setTimeout(requestLoadMore, 0);
+        }
+    }
+
+    function requestLoadMore() {
+        if (sentinelVisible && loadMoreState === 'idle' && loadMoreHandler) {
+            loadMoreHandler();
+        }
     }
 
     /**
      * 店舗カードを生成
+     * @param {Object} place
+     * @param {number} index - 表示順（アニメーションの遅延に使う）
+     * @param {boolean} [inResults] - 検索結果のカードか（比較の選択・非表示のボタンを付ける）
      */
-    function createCard(place, index) {
+    function createCard(place, index, inResults = false) {
         const card = document.createElement('div');
         card.className = 'place-card';
+        card.dataset.placeId = place.id;
         card.style.animationDelay = `${index * 0.06}s`;
-        card.setAttribute('role', 'button');
-        card.setAttribute('tabindex', '0');
-        card.setAttribute('aria-label', `${place.name} - 評価${place.rating || '未評価'}`);
+        const cardLabel = I18n.t('card.label', { name: place.name, rating: place.rating || I18n.t('card.unrated') });
+        const unverified = getAmenityLabels(place, 'unknown');
 
         // 写真
         let photoHTML;
         if (place.photoUrl) {
-            photoHTML = `<img class="card-photo" src="${place.photoUrl}" alt="${escapeHtml(place.name)}" loading="lazy">`;
+            photoHTML = `<img class="card-photo" src="${place.photoUrl}" alt="" loading="lazy">`;
         } else {
-            photoHTML = `<div class="card-no-photo">🍽️</div>`;
+            photoHTML = `<div class="card-no-photo" aria-hidden="true">🍽️</div>`;
         }
 
         // 評価の星
@@ -104,42 +355,275 @@ const UI = (() => {
         const priceText = PlacesService.formatPriceLevel(place.priceLevel);
         const priceHTML = priceText ? `<span class="card-price">${priceText}</span>` : '';
 
+        // 距離（現在地が不明な場合は表示しない）
+        const distanceHTML = place.distanceText
+            ? `<span class="card-distance">🚶${place.distanceText}</span>`
+            : '';
+
+        // みんなで集まる場合は各自の徒歩時間
+        const groupHTML = place.participantDistances
+            ? `<p class="card-group">${place.participantDistances.map(p => escapeHtml(I18n.t('group.cardDistance', { name: p.name, walk: p.walkTime }))).join(' · ')}</p>`
+            : '';
+
         // 混雑度バッジ
         const congestionHTML = place.congestion
             ? `<span class="card-congestion" style="background: ${place.congestion.color}22; color: ${place.congestion.color}; border-color: ${place.congestion.color}44">${place.congestion.label}</span>`
             : '';
 
+        // 見た目の内容は詳細を開くボタンのラベルで読み上げる
         card.innerHTML = `
             ${photoHTML}
-            <div class="card-overlay">
+            <div class="card-overlay" aria-hidden="true">
                 <div class="card-badges">
                     ${congestionHTML}
+                    ${renderAmenityBadge(unverified)}
+                    ${renderHoursBadge(place)}
                 </div>
                 <p class="card-name">${escapeHtml(place.name)}</p>
                 <div class="card-meta">
                     ${ratingHTML}
-                    <span class="card-distance">🚶${place.distanceText}</span>
+                    ${distanceHTML}
                     ${priceHTML}
                 </div>
+                ${groupHTML}
             </div>
         `;
 
-        // クリック → 詳細モーダル
-        card.addEventListener('click', () => openModal(place));
-        card.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter' || e.key === ' ') {
-                e.preventDefault();
-                openModal(place);
-            }
-        });
+        // カード全体を覆う詳細を開くボタン（比較・興味なしのボタンはその上に並べる）
+        const openButton = document.createElement('button');
+        openButton.type = 'button';
+        openButton.className = 'card-open';
+        openButton.setAttribute('aria-label', unverified.length > 0
+            ? I18n.t('card.labelUnverified', { label: cardLabel, amenities: unverified.join(', ') })
+            : cardLabel);
+        openButton.addEventListener('click', () => openModal(place));
+        card.appendChild(openButton);
+
+        if (inResults && hideHandler) {
+            const hideButton = document.createElement('button');
+            hideButton.type = 'button';
+            hideButton.className = 'card-hide';
+            hideButton.textContent = '×';
+            hideButton.setAttribute('aria-label', I18n.t('hide.button', { name: place.name }));
+            hideButton.addEventListener('click', () => openHideMenu(place));
+            card.appendChild(hideButton);
+        }
+
+        if (inResults && compareHandler) {
+            const compareButton = document.createElement('button');
+            compareButton.type = 'button';
+            compareButton.className = 'card-compare';
+            compareButton.addEventListener('click', () => toggleCompare(place));
+            card.appendChild(compareButton);
+            setCompareButton(compareButton, place);
+        }
 
         return card;
     }
 
+    // --- 比較 ---
+
+    /**
+     * 店舗を比較の選択に加える / 外す（上限を超える場合は加えない）
+     */
+    function toggleCompare(place) {
+        if (compareSelection.includes(place)) {
+            compareSelection = compareSelection.filter(p => p !== place);
+        } else if (compareSelection.length >= COMPARE_MAX) {
+            showToast(I18n.t('compare.max', { max: COMPARE_MAX }));
+            return;
+        } else {
+            compareSelection = [...compareSelection, place];
+        }
+        findCards(place.id).forEach(card => {
+            const button = card.querySelector('.card-compare');
+            if (button) setCompareButton(button, place);
+        });
+        updateCompareBar();
+    }
+
+    function setCompareButton(button, place) {
+        const selected = compareSelection.includes(place);
+        button.classList.toggle('active', selected);
+        button.setAttribute('aria-pressed', String(selected));
+        button.textContent = selected ? '✓' : '+';
+        button.setAttribute('aria-label', I18n.t('compare.select', { name: place.name }));
+    }
+
+    function clearCompare() {
+        const selected = compareSelection;
+        compareSelection = [];
+        selected.forEach(place => findCards(place.id).forEach(card => {
+            const button = card.querySelector('.card-compare');
+            if (button) setCompareButton(button, place);
+        }));
+        updateCompareBar();
+    }
+
+    /**
+     * 選択中の件数と「比較する」ボタンの状態を更新（未選択なら非表示）
+     */
+    function updateCompareBar() {
+        const count = compareSelection.length;
+        els.compareBar.classList.toggle('hidden', count === 0);
+        els.compareBarText.textContent = I18n.t('compare.selected', { count: count, max: COMPARE_MAX });
+        els.compareOpen.disabled = count < COMPARE_MIN;
+    }
+
+    // --- 興味なし ---
+
+    /**
+     * 非表示にする期間を選ぶダイアログを開く
+     */
+    function openHideMenu(place) {
+        hidingPlace = place;
+        els.hideMenuTitle.textContent = I18n.t('hide.title', { name: place.name });
+        els.hideMenu.classList.remove('hidden');
+        Dialog.open(els.hideMenu, { onClose: closeHideMenu });
+    }
+
+    function closeHideMenu() {
+        hidingPlace = null;
+        els.hideMenu.classList.add('hidden');
+        Dialog.close(els.hideMenu);
+    }
+
+    /**
+     * 「興味なし」で期間を選んだときの処理を登録
+     * @param {Function} handler - (place, days) => void（days が null ならずっと）
+     */
+    function onHide(handler) {
+        hideHandler = handler;
+    }
+
+    /**
+     * 「行った」をタップしたときの処理を登録
+     * @param {Function} handler - (place) => void
+     */
+    function onVisit(handler) {
+        visitHandler = handler;
+    }
+
+    /**
+     * 設定画面（ローテーション・非表示にしたお店）を描画
+     * @param {Object} options
+     * @param {boolean} options.rotation - ローテーションモードが有効か
+     * @param {Array} options.hidden - HiddenPlaces.list の結果
+     * @param {Function} options.onRestore - 「元に戻す」で記録を受け取る
+     */
+    function renderSettings({ rotation, hidden, onRestore }) {
+        els.rotation.checked = rotation;
+        els.hiddenList.innerHTML = '';
+        hidden.forEach(record => {
+            const item = document.createElement('li');
+            item.className = 'settings-item';
+
+            const text = document.createElement('div');
+            text.className = 'settings-item-text';
+            const name = document.createElement('p');
+            name.className = 'settings-item-name';
+            name.textContent = record.name;
+            const until = document.createElement('p');
+            until.className = 'settings-item-sub';
+            until.textContent = record.until
+                ? I18n.t('settings.hiddenUntil', { date: formatDate(new Date(record.until)) })
+                : I18n.t('settings.hiddenForever');
+            text.append(name, until);
+
+            const restore = document.createElement('button');
+            restore.type = 'button';
+            restore.className = 'btn-text';
+            restore.textContent = I18n.t('settings.restore');
+            restore.setAttribute('aria-label', I18n.t('settings.restoreLabel', { name: record.name }));
+            restore.addEventListener('click', () => onRestore(record));
+
+            item.append(text, restore);
+            els.hiddenList.appendChild(item);
+        });
+        els.hiddenEmpty.classList.toggle('hidden', hidden.length > 0);
+    }
+
+    function formatDate(date) {
+        return `${date.getMonth() + 1}/${date.getDate()}`;
+    }
+
+    /**
+     * カード用の営業状態バッジ（週間スケジュール取得済みの店舗のみ）
+     * 日時を指定した検索で営業時間を確認できなかった店舗は「営業時間未確認」にする
+     */
+    function renderHoursBadge(place) {
+        const label = HoursParser.formatStatus(place.hoursStatus) ||
+            (place.evaluatedAt && place.isOpen === null ? { text: I18n.t('hours.unchecked'), state: 'unchecked' } : null);
+        if (!label) return '';
+        const color = HOURS_STATE_COLORS[label.state];
+        return `<span class="card-hours" style="background: ${color}22; color: ${color}; border-color: ${color}44">${label.text}</span>`;
+    }
+
+    /**
+     * カード用の「要確認」バッジ（指定した食事制限・設備を確認できなかった店舗のみ）
+     * @param {Array<string>} unverified - 確認できなかった項目の表示名
+     */
+    function renderAmenityBadge(unverified) {
+        if (unverified.length === 0) return '';
+        return `<span class="card-verify" title="${escapeHtml(unverified.join(', '))}">${I18n.t('amenity.unverified')}</span>`;
+    }
+
+    /**
+     * 検索で指定した食事制限・設備のうち、指定した判定のものの表示名
+     * @param {Object} place
+     * @param {string} state - 'yes' / 'unknown'
+     * @returns {Array<string>}
+     */
+    function getAmenityLabels(place, state) {
+        return Object.entries(place.amenityStatus || {})
+            .filter(([, value]) => value === state)
+            .map(([amenity]) => I18n.t(`amenity.${amenity}`));
+    }
+
+    /**
+     * 表示中のカード要素を店舗IDから取得（結果・お気に入り・履歴のすべて）
+     */
+    function findCards(placeId) {
+        return Array.from(document.querySelectorAll('.place-card')).filter(card => card.dataset.placeId === placeId);
+    }
+
+    /**
+     * 表示中カードの営業状態バッジを更新
+     */
+    function updateCardHours(place) {
+        findCards(place.id).forEach(card => {
+            const badges = card.querySelector('.card-badges');
+            const current = badges.querySelector('.card-hours');
+            if (current) current.remove();
+            badges.insertAdjacentHTML('beforeend', renderHoursBadge(place));
+        });
+    }
+
+    /**
+     * お気に入り・最近見たお店を表示
+     * @param {Object} saved
+     * @param {Array} saved.favorites - 表示用に整形済みの店舗
+     * @param {Array} saved.history
+     * @param {string} saved.locationText - 距離の基準の説明
+     */
+    function renderFavorites({ favorites, history, locationText }) {
+        els.favoritesLocation.textContent = locationText || '';
+
+        [[els.favoritesGrid, els.favoritesEmpty, favorites], [els.historyGrid, els.historyEmpty, history]]
+            .forEach(([grid, empty, places]) => {
+                grid.innerHTML = '';
+                places.forEach((place, index) => grid.appendChild(createCard(place, index)));
+                empty.classList.toggle('hidden', places.length > 0);
+            });
+    }
+
     /**
      * 詳細モーダルを開く（Place Details APIも呼び出し）
      */
     async function openModal(place) {
+        currentPlace = place;
+        if (modalChangeHandler) modalChangeHandler(place);
+
         // 写真
         if (place.photoUrl) {
             els.modalPhoto.src = place.photoUrl;
@@ -152,6 +636,17 @@ const UI = (() => {
         // 店名
         els.modalName.textContent = place.name;
 
+        // お気に入り状態
+        setFavoriteButton(false);
+        Favorites.isFavorite(place.id)
+            .then(isFavorite => {
+                if (currentPlace === place) setFavoriteButton(isFavorite);
+            })
+            .catch(e => console.warn('お気に入りの読み込みに失敗:', e));
+
+        // 閲覧履歴に記録
+        Favorites.recordView(place).catch(e => console.warn('閲覧履歴の保存に失敗:', e));
+
         // 評価
         if (place.rating) {
             const stars = renderStars(place.rating);
@@ -163,7 +658,7 @@ const UI = (() => {
 
         // レビュー数
         els.modalReviews.textContent = place.ratingsTotal > 0
-            ? `(${place.ratingsTotal}件のレビュー)`
+            ? I18n.t('modal.reviews', { count: place.ratingsTotal })
             : '';
 
         // 価格帯
@@ -176,7 +671,7 @@ const UI = (() => {
             els.modalCongestion.innerHTML = `
                 <span class="congestion-badge" style="background: ${place.congestion.color}15; color: ${place.congestion.color}; border: 1px solid ${place.congestion.color}33">
                     <span class="congestion-dot" style="background: ${place.congestion.color}"></span>
-                    混雑予想: ${place.congestion.label}
+                    ${I18n.t('modal.congestion', { label: place.congestion.label })}
                 </span>
             `;
             els.modalCongestion.style.display = '';
@@ -190,20 +685,34 @@ const UI = (() => {
         els.modalHoursRow.classList.add('hidden');
 
         // 住所
-        els.modalAddress.textContent = place.address || '住所不明';
+        els.modalAddress.textContent = place.address || I18n.t('modal.noAddress');
 
         // 距離 & 時間
-        els.modalDistance.textContent = `${place.distanceText}（${place.walkTime} / ${place.taxiTime}）`;
+        els.modalDistance.textContent = formatModalDistance(place);
 
         // 営業中
         if (place.isOpen !== null) {
-            els.modalStatus.textContent = place.isOpen ? '営業中' : '営業時間外';
+            els.modalStatus.textContent = I18n.t(place.isOpen ? 'modal.open' : 'modal.closed');
             els.modalStatus.style.color = place.isOpen ? '#81c784' : '#e57373';
         } else {
-            els.modalStatus.textContent = '営業時間不明';
+            els.modalStatus.textContent = I18n.t('modal.hoursUnknown');
             els.modalStatus.style.color = '';
         }
 
+        // 食事制限・設備（検索で指定した場合のみ）
+        const verified = getAmenityLabels(place, 'yes');
+        const unverified = getAmenityLabels(place, 'unknown');
+        const amenityLines = [];
+        if (verified.length > 0) amenityLines.push(I18n.t('modal.amenityVerified', { labels: verified.join(' · ') }));
+        if (unverified.length > 0) amenityLines.push(I18n.t('modal.amenityUnverified', { labels: unverified.join(' · ') }));
+        els.modalAmenity.textContent = amenityLines.join(' / ');
+        els.modalAmenityRow.classList.toggle('hidden', amenityLines.length === 0);
+
+        // みんなで集まる場合は各自の場所からの距離
+        const groupLines = (place.participantDistances || []).map(p => I18n.t('group.personDistance', p));
+        els.modalGroup.textContent = groupLines.join(' / ');
+        els.modalGroupRow.classList.toggle('hidden', groupLines.length === 0);
+
         // ナビゲーションリンク
         els.modalNavigate.href = PlacesService.getNavigationUrl(place);
 
@@ -216,11 +725,18 @@ const UI = (() => {
             els.modal.classList.add('showing');
         });
         document.body.style.overflow = 'hidden';
+        Dialog.open(els.modal, { onClose: closeModal, initialFocus: els.modalClose });
 
-        // --- Place Details API を非同期で呼び出し ---
+        // --- 先読み済みならすぐに、なければ Place Details API を非同期で呼び出し ---
+        const cachedDetails = PlacesService.getCachedDetails(place.id);
+        if (cachedDetails) {
+            updateModalWithDetails(place, cachedDetails);
+            return;
+        }
         try {
             const details = await PlacesService.getPlaceDetails(place.id);
-            if (details) {
+            // 取得中に別のお店を開いた場合は反映しない
+            if (details && currentPlace === place) {
                 updateModalWithDetails(place, details);
             }
         } catch (e) {
@@ -228,69 +744,114 @@ const UI = (() => {
         }
     }
 
+    /**
+     * モーダルの距離表示（徒歩ルートを取得できなかった店舗は直線距離と分かるようにする）
+     */
+    function formatModalDistance(place) {
+        if (!place.distanceText) return I18n.t('modal.noDistance');
+        const params = { distance: place.distanceText, walk: place.walkTime, taxi: place.taxiTime };
+        return I18n.t(place.isRouteDistance ? 'modal.distance' : 'modal.distanceStraight', params);
+    }
+
+    /**
+     * 現在地の追跡で更新した距離を、表示中のカードとモーダルに反映
+     * @param {Array} places - 距離を更新した店舗
+     */
+    function updateDistances(places) {
+        places.forEach(place => {
+            findCards(place.id).forEach(card => {
+                const distance = card.querySelector('.card-distance');
+                if (distance) distance.textContent = `🚶${place.distanceText}`;
+            });
+        });
+        if (currentPlace && places.includes(currentPlace)) {
+            els.modalDistance.textContent = formatModalDistance(currentPlace);
+        }
+    }
+
+    /**
+     * 現在地の追跡ボタンと精度の表示を切り替え
+     * @param {boolean} active - 追跡中か
+     * @param {number|null} [accuracy] - 現在地の誤差（メートル、測位前は null）
+     */
+    function setTrackingState(active, accuracy = null) {
+        els.tracking.classList.toggle('active', active);
+        els.tracking.setAttribute('aria-pressed', String(active));
+        els.trackingAccuracy.classList.toggle('hidden', !active);
+        if (!active) return;
+
+        els.trackingAccuracy.classList.remove('good', 'fair', 'poor');
+        if (accuracy === null) {
+            els.trackingAccuracy.textContent = I18n.t('tracking.waiting');
+            return;
+        }
+        const level = accuracy <= ACCURACY_GOOD_M ? 'good' : accuracy <= ACCURACY_FAIR_M ? 'fair' : 'poor';
+        els.trackingAccuracy.classList.add(level);
+        els.trackingAccuracy.textContent = I18n.t('tracking.accuracy', { meters: Math.round(accuracy) });
+    }
+
+    /**
+     * 取得した詳細の営業時間を店舗に反映し、カードの営業状態バッジを更新
+     * （モーダル表示時・先読み完了時に呼び出し）
+     */
+    function applyPlaceDetails(place, details) {
+        place.weekdayText = details.openingHours ? details.openingHours.weekday_text : null;
+        place.schedule = details.schedule;
+        place.hoursStatus = PlacesService.getHoursStatus(place);
+        if (place.hoursStatus) {
+            place.isOpen = place.hoursStatus.isOpen;
+        }
+        updateCardHours(place);
+    }
+
     /**
      * Place Details の情報でモーダルを更新
      */
     function updateModalWithDetails(place, details) {
-        // 正確な営業状態を表示
-        if (details.isActuallyOpen === false) {
-            // 営業時間外と確定
-            els.modalStatus.innerHTML = '<span style="color: #ef5350;">🕐 営業時間外</span>';
-        } else if (details.isActuallyOpen === true) {
-            // 営業中と確定
-            els.modalStatus.innerHTML = '<span style="color: #66bb6a;">🕐 営業中</span>';
-        }
-
-        // 今日の営業時間
-        if (details.openingHours && details.openingHours.weekday_text) {
-            const today = new Date().getDay();
-            // Google は月曜始まり (0=月, 6=日)
-            const googleDayIndex = today === 0 ? 6 : today - 1;
-            const todayText = details.openingHours.weekday_text[googleDayIndex];
+        // カードにも営業状態を反映
+        applyPlaceDetails(place, details);
+        Favorites.updateSnapshot(place).catch(e => console.warn('保存済みデータの更新に失敗:', e));
+
+        // 正確な営業状態を表示（「あと20分で閉店」「17:00から営業」など）
+        const hoursLabel = HoursParser.formatStatus(place.hoursStatus);
+        if (hoursLabel) {
+            els.modalStatus.textContent = hoursLabel.text;
+            els.modalStatus.style.color = HOURS_STATE_COLORS[hoursLabel.state];
+        }
+
+        // 今日（日時を指定した検索の結果ではその日）の営業時間
+        if (details.openingHours) {
+            const todayText = HoursParser.getDayText(details.openingHours.weekday_text, PlacesService.getEvaluationTime(place));
             if (todayText) {
                 els.modalHours.textContent = todayText;
                 els.modalHoursRow.classList.remove('hidden');
             }
         }
 
-        // レビューベースの混雑度調整
-        if (details.reviews && details.reviews.length > 0) {
-            const reviewCongestion = HoursParser.estimateCongestionFromReviews(details.reviews);
+        // レビュー解析（確信のあるタグだけを表示に使う）
+        const summary = PlacesService.summarizeDetails(details);
 
-            // レビューで強い傾向が見られた場合は混雑バッジを更新
-            if (reviewCongestion === 'crowded') {
-                // 「行列」「混雑」などのキーワードが多い
-                const congestionBadge = els.modalCongestion.querySelector('.congestion-badge');
-                if (congestionBadge && !congestionBadge.textContent.includes('混雑')) {
-                    congestionBadge.textContent = '🔥 混雑しやすい';
+        // レビューで強い傾向が見られた場合は混雑バッジを更新
+        const reviewCongestion = summary.congestion;
+        if (reviewCongestion) {
+            const congestionBadge = els.modalCongestion.querySelector('.congestion-badge');
+            if (reviewCongestion.id === 'crowded') {
+                // 「行列」「混雑」などのキーワードが多い（時間帯の予想で混雑としている場合はそのまま）
+                if (congestionBadge && place.congestion.level !== 'high') {
+                    congestionBadge.textContent = reviewCongestion.label;
                     congestionBadge.style.background = 'linear-gradient(135deg, #ff6b6b 0%, #ee5a6f 100%)';
                 }
-            } else if (reviewCongestion === 'empty') {
+            } else if (reviewCongestion.id === 'quiet') {
                 // 「空いて」「穴場」などのキーワードが多い
-                const congestionBadge = els.modalCongestion.querySelector('.congestion-badge');
                 if (congestionBadge) {
-                    congestionBadge.textContent = '✨ 穴場';
+                    congestionBadge.textContent = reviewCongestion.label;
                     congestionBadge.style.background = 'linear-gradient(135deg, #4fc3f7 0%, #29b6f6 100%)';
                 }
             }
         }
 
-        // 雰囲気・アピールポイント
-        const appealTags = [];
-
-        // Place types からタグ生成
-        const typeTags = PlacesService.getAtmosphereTags(details.types);
-        appealTags.push(...typeTags);
-
-        // レビューから雰囲気キーワード抽出
-        if (details.reviews && details.reviews.length > 0) {
-            const reviewTags = PlacesService.extractAtmosphereFromReviews(details.reviews);
-            reviewTags.forEach(tag => {
-                if (!appealTags.includes(tag)) {
-                    appealTags.push(tag);
-                }
-            });
-        }
+        // 雰囲気・アピールポイント（Place types とレビューの雰囲気キーワード）
+        const appealTags = [...summary.atmosphere];
 
         // エディトリアルサマリー
         if (details.editorialSummary) {
@@ -300,7 +861,7 @@ const UI = (() => {
         // アピールタグを表示
         if (appealTags.length > 0) {
             els.modalAppeal.innerHTML = `
-                <div class="appeal-label">雰囲気・特徴</div>
+                <div class="appeal-label">${I18n.t('modal.appeal')}</div>
                 <div class="appeal-tags">
                     ${appealTags.map(tag => `<span class="appeal-tag">${tag}</span>`).join('')}
                 </div>
@@ -308,39 +869,85 @@ const UI = (() => {
             els.modalAppeal.classList.remove('hidden');
         }
 
-        // 喫煙情報をレビューから抽出
-        if (details.reviews && details.reviews.length > 0) {
-            const smokingInfo = extractSmokingInfo(details.reviews);
-            if (smokingInfo) {
-                els.modalSmoking.textContent = smokingInfo;
-                els.modalSmokingRow.classList.remove('hidden');
-            } else {
-                els.modalSmokingRow.classList.add('hidden');
-            }
+        // 喫煙情報をレビューから抽出（レビュー同士で食い違う場合は表示しない）
+        const smokingInfo = summary.smoking;
+        if (smokingInfo) {
+            els.modalSmoking.textContent = smokingInfo.label;
+            els.modalSmokingRow.classList.remove('hidden');
         } else {
             els.modalSmokingRow.classList.add('hidden');
         }
     }
 
     /**
-     * レビューから喫煙情報を抽出
+     * お気に入りボタンの表示を切り替え
      */
-    function extractSmokingInfo(reviews) {
-        const keywords = [
-            { pattern: /喫煙可|喫煙室|喫煙席/i, info: '喫煙可' },
-            { pattern: /分煙/i, info: '分煙' },
-            { pattern: /完全禁煙|禁煙席|禁煙/i, info: '禁煙' }
-        ];
+    function setFavoriteButton(isFavorite) {
+        els.modalFavorite.textContent = isFavorite ? '♥' : '♡';
+        els.modalFavorite.setAttribute('aria-pressed', String(isFavorite));
+        els.modalFavorite.setAttribute('aria-label', I18n.t(isFavorite ? 'favorites.remove' : 'favorites.add'));
+    }
 
-        for (const review of reviews) {
-            const text = review.text || '';
-            for (const { pattern, info } of keywords) {
-                if (pattern.test(text)) {
-                    return info;
-                }
+    /**
+     * 表示中の店舗のお気に入りを切り替え
+     */
+    async function toggleFavorite() {
+        if (!currentPlace) return;
+        const place = currentPlace;
+        try {
+            const isFavorite = await Favorites.toggle(place);
+            if (currentPlace === place) setFavoriteButton(isFavorite);
+            showToast(I18n.t(isFavorite ? 'favorites.added' : 'favorites.removed'), 2000);
+        } catch (e) {
+            console.warn('お気に入りの保存に失敗:', e);
+            showToast(e.message || I18n.t('favorites.saveError'));
+        }
+    }
+
+    /**
+     * モーダルの開閉時に呼ぶ処理を登録
+     * @param {Function} handler - (place|null) => void
+     */
+    function onModalChange(handler) {
+        modalChangeHandler = handler;
+    }
+
+    /**
+     * 表示中のお店を共有（Web Share API、使えなければクリップボードにコピー）
+     * 共有リンクにはページの URL を使う（モーダルを開いたときにアプリ側で更新される）
+     */
+    async function sharePlace() {
+        if (!currentPlace) return;
+        const place = currentPlace;
+        const text = `${place.name}\n📍 ${PlacesService.getNavigationUrl(place)}`;
+        await shareLink(place.name, text, window.location.href);
+    }
+
+    /**
+     * リンクを共有（Web Share API、使えなければ本文と一緒にクリップボードにコピー）
+     * @param {string} title
+     * @param {string} text
+     * @param {string} link
+     */
+    async function shareLink(title, text, link) {
+        if (navigator.share) {
+            try {
+                await navigator.share({ title: title, text: text, url: link });
+                return;
+            } catch (e) {
+                // ユーザーが共有をキャンセルした場合は何もしない
+                if (e.name === 'AbortError') return;
+                console.warn('共有に失敗:', e);
             }
         }
-        return null;
+
+        try {
+            await navigator.clipboard.writeText(`${text}\n${link}`);
+            showToast(I18n.t('share.copied'), 2000);
+        } catch (e) {
+            console.warn('クリップボードへのコピーに失敗:', e);
+            showToast(I18n.t('share.copyFailed'));
+        }
     }
 
     /**
@@ -350,6 +957,8 @@ const UI = (() => {
         els.modal.classList.remove('showing');
         els.modal.classList.add('hidden');
         document.body.style.overflow = '';
+        Dialog.close(els.modal);
+        if (modalChangeHandler) modalChangeHandler(null);
     }
 
     /**
@@ -376,11 +985,20 @@ const UI = (() => {
      * トースト通知を表示
      */
     function showToast(message, duration = 4000) {
-        els.toastMessage.textContent = message;
         els.toast.classList.remove('hidden');
+        els.toastMessage.textContent = message;
+
+        // 読み上げ用の領域は一度空にしてから入れる（同じ文言が続いても読み上げられるように）
+        els.toastLive.textContent = '';
+        clearTimeout(els.toastLive._timeout);
+        els.toastLive._timeout = setTimeout(() => {
+            els.toastLive.textContent = message;
+        }, 100);
+
         clearTimeout(els.toast._timeout);
         els.toast._timeout = setTimeout(() => {
             els.toast.classList.add('hidden');
+            els.toastLive.textContent = '';
         }, duration);
     }
 
@@ -394,15 +1012,56 @@ const UI = (() => {
     }
 
     // モーダルのイベント設定
-    document.getElementById('btn-modal-close').addEventListener('click', closeModal);
-    document.querySelector('.modal-overlay').addEventListener('click', closeModal);
+    els.modalClose.addEventListener('click', closeModal);
+    els.modal.querySelector('.modal-overlay').addEventListener('click', closeModal);
+    els.modalFavorite.addEventListener('click', toggleFavorite);
+    els.modalShare.addEventListener('click', sharePlace);
+    els.modalVisited.addEventListener('click', () => {
+        if (currentPlace && visitHandler) visitHandler(currentPlace);
+    });
+    els.modalHide.addEventListener('click', () => {
+        if (currentPlace) openHideMenu(currentPlace);
+    });
+
+    // 興味なしのイベント設定（期間のボタンは data-days、空ならずっと）
+    els.hideMenu.querySelectorAll('[data-days]').forEach(button => {
+        button.addEventListener('click', () => {
+            const place = hidingPlace;
+            const days = button.dataset.days ? parseInt(button.dataset.days) : null;
+            closeHideMenu();
+            if (place && hideHandler) hideHandler(place, days);
+        });
+    });
+    els.hideMenuCancel.addEventListener('click', closeHideMenu);
+    els.hideMenu.querySelector('.modal-overlay').addEventListener('click', closeHideMenu);
+
+    // 比較のイベント設定
+    els.compareOpen.addEventListener('click', () => {
+        if (compareHandler && compareSelection.length >= COMPARE_MIN) compareHandler(compareSelection.slice());
+    });
+    els.compareClear.addEventListener('click', clearCompare);
 
     return {
         showScreen,
+        isScreenActive,
+        showResultsView,
+        setSearchPoint,
         setLoadingText,
         renderResults,
+        syncResults,
+        renderFavorites,
+        setResultsNote,
+        setLoadMoreState,
         openModal,
         closeModal,
+        onModalChange,
+        onHide,
+        onVisit,
+        renderSettings,
+        shareLink,
+        applyPlaceDetails,
+        updateDistances,
+        setTrackingState,
         showToast
     };
 })();
@@ -0,0 +1,380 @@
+/**
+ * visit-history.js - 行ったお店の画面 モジュール
+ * 「行った」の記録フォーム（日付・自分の評価・金額・メモ）と、記録の一覧・集計・書き出し・読み込みの画面を扱う
+ */
+
+const VisitHistory = (() => {
+    const RATING_MAX = 5;
+
+    const els = {
+        back: document.getElementById('btn-visits-back'),
+        count: document.getElementById('visits-count'),
+        stats: document.getElementById('visits-stats'),
+        cuisine: document.getElementById('visits-cuisine'),
+        spend: document.getElementById('visits-spend'),
+        spendEmpty: document.getElementById('visits-spend-empty'),
+        top: document.getElementById('visits-top'),
+        list: document.getElementById('visits-list'),
+        empty: document.getElementById('visits-empty'),
+        exportJson: document.getElementById('btn-visits-export-json'),
+        exportCsv: document.getElementById('btn-visits-export-csv'),
+        import: document.getElementById('btn-visits-import'),
+        importFile: document.getElementById('visits-import-file'),
+        form: document.getElementById('visit-form'),
+        formBody: document.getElementById('visit-form-body'),
+        formTitle: document.getElementById('visit-form-title'),
+        date: document.getElementById('visit-date'),
+        rating: document.getElementById('visit-rating'),
+        spent: document.getElementById('visit-spent'),
+        note: document.getElementById('visit-note'),
+        cancel: document.getElementById('btn-visit-cancel')
+    };
+
+    // 記録フォームで入力中の店舗
+    let formPlace = null;
+
+    // --- 記録フォーム ---
+
+    /**
+     * 「行った」の記録フォームを開く
+     * @param {Object} place
+     */
+    function openForm(place) {
+        formPlace = place;
+        els.formTitle.textContent = I18n.t('visit.formTitle', { name: place.name });
+        els.date.value = toDateInputValue(new Date());
+        els.date.max = els.date.value;
+        els.spent.value = '';
+        els.note.value = '';
+        renderRatingStars();
+
+        els.form.classList.remove('hidden');
+        Dialog.open(els.form, { onClose: closeForm, initialFocus: els.date });
+    }
+
+    function closeForm() {
+        formPlace = null;
+        els.form.classList.add('hidden');
+        Dialog.close(els.form);
+    }
+
+    /**
+     * 評価の星（1〜5、選んだ星をもう一度押すと未評価に戻す）
+     */
+    function renderRatingStars() {
+        els.rating.innerHTML = '';
+        for (let value = 1; value <= RATING_MAX; value++) {
+            const label = document.createElement('label');
+            label.className = 'visit-rating-star';
+            label.textContent = '★';
+
+            const input = document.createElement('input');
+            input.type = 'radio';
+            input.name = 'visit-rating';
+            input.value = String(value);
+            input.setAttribute('aria-label', I18n.t('visit.ratingValue', { rating: value }));
+            input.addEventListener('click', () => {
+                if (input.dataset.checked) input.checked = false;
+                syncRatingStars();
+            });
+
+            label.prepend(input);
+            els.rating.appendChild(label);
+        }
+        syncRatingStars();
+    }
+
+    function syncRatingStars() {
+        const rating = getRating() || 0;
+        els.rating.querySelectorAll('input').forEach(input => {
+            const value = Number(input.value);
+            input.parentElement.classList.toggle('active', value <= rating);
+            if (input.checked) {
+                input.dataset.checked = 'true';
+            } else {
+                delete input.dataset.checked;
+            }
+        });
+    }
+
+    function getRating() {
+        const checked = els.rating.querySelector('input:checked');
+        return checked ? Number(checked.value) : null;
+    }
+
+    /**
+     * フォームの内容で記録
+     */
+    async function saveForm() {
+        if (!formPlace) return;
+        const place = formPlace;
+        const visitedAt = fromDateInputValue(els.date.value);
+        if (visitedAt === null) {
+            els.date.focus();
+            return;
+        }
+
+        try {
+            await VisitLog.record(place, {
+                visitedAt: visitedAt,
+                rating: getRating(),
+                spent: els.spent.value,
+                note: els.note.value.trim()
+            });
+        } catch (error) {
+            console.warn('行ったお店の記録に失敗:', error);
+            UI.showToast(error.message || I18n.t('visit.recordError'));
+            return;
+        }
+
+        closeForm();
+        UI.showToast(I18n.t('visit.recorded'), 2000);
+        if (UI.isScreenActive('visits')) render();
+    }
+
+    /**
+     * Date を <input type="date"> の値（端末の時刻の YYYY-MM-DD）に変換
+     */
+    function toDateInputValue(date) {
+        const pad = number => String(number).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /**
+     * <input type="date"> の値を日時に変換
+     * 同じ日に同じお店へ2回行った記録を区別できるよう、時刻は記録した時点のものを使う
+     * @returns {number|null}
+     */
+    function fromDateInputValue(value) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+        if (!match) return null;
+        const now = new Date();
+        return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]),
+            now.getHours(), now.getMinutes(), now.getSeconds(), now.getMilliseconds()).getTime();
+    }
+
+    // --- 記録の画面 ---
+
+    /**
+     * 行ったお店の画面を開く
+     */
+    function open() {
+        UI.showScreen('visits');
+        render();
+    }
+
+    /**
+     * 記録を読み込んで、集計と一覧を描画
+     */
+    async function render() {
+        let visits = [];
+        try {
+            visits = await VisitLog.list();
+        } catch (error) {
+            console.error('行ったお店の読み込みエラー:', error);
+            UI.showToast(error.message || I18n.t('common.error'));
+        }
+
+        const stats = VisitLog.getStats(visits);
+        els.count.textContent = I18n.t('visits.count', { count: stats.total, places: stats.placeCount });
+        els.stats.classList.toggle('hidden', visits.length === 0);
+        els.empty.classList.toggle('hidden', visits.length > 0);
+        renderStats(stats);
+        renderList(visits);
+    }
+
+    /**
+     * ジャンル別の回数・価格帯ごとの平均金額・よく行くお店
+     */
+    function renderStats(stats) {
+        renderStatsList(els.cuisine, stats.byCuisine.map(entry => ({
+            label: PlacesService.formatCuisineType(entry.cuisine),
+            value: I18n.t('visits.times', { count: entry.count })
+        })));
+
+        renderStatsList(els.spend, stats.spendByPriceLevel.map(entry => ({
+            label: PlacesService.formatPriceLevel(entry.priceLevel),
+            value: I18n.t('visits.spendAverage', { amount: formatYen(entry.average), count: entry.count }),
+            note: I18n.t(`visits.spend.${entry.comparison}`),
+            className: `visits-spend-${entry.comparison}`
+        })));
+        els.spendEmpty.classList.toggle('hidden', stats.spendByPriceLevel.length > 0);
+
+        renderStatsList(els.top, stats.topPlaces.map(entry => ({
+            label: entry.name,
+            value: [
+                I18n.t('visits.times', { count: entry.count }),
+                entry.averageRating !== null ? `★${entry.averageRating.toFixed(1)}` : null
+            ].filter(Boolean).join(' · ')
+        })));
+    }
+
+    function renderStatsList(list, rows) {
+        list.innerHTML = '';
+        rows.forEach(row => {
+            const item = document.createElement('li');
+            item.className = 'visits-stats-item';
+
+            const label = document.createElement('span');
+            label.className = 'visits-stats-label';
+            label.textContent = row.label;
+
+            const value = document.createElement('span');
+            value.className = 'visits-stats-value';
+            value.textContent = row.value;
+            item.append(label, value);
+
+            if (row.note) {
+                const note = document.createElement('span');
+                note.className = `visits-stats-note ${row.className}`;
+                note.textContent = row.note;
+                item.appendChild(note);
+            }
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * 記録の一覧（新しい順、削除ボタン付き）
+     */
+    function renderList(visits) {
+        els.list.innerHTML = '';
+        visits.forEach(visit => {
+            const item = document.createElement('li');
+            item.className = 'settings-item';
+
+            const text = document.createElement('div');
+            text.className = 'settings-item-text';
+            const name = document.createElement('p');
+            name.className = 'settings-item-name';
+            name.textContent = visit.name;
+            const sub = document.createElement('p');
+            sub.className = 'settings-item-sub';
+            sub.textContent = [
+                formatDate(new Date(visit.visitedAt)),
+                visit.rating ? '★'.repeat(visit.rating) : null,
+                visit.spent !== null ? formatYen(visit.spent) : null
+            ].filter(Boolean).join(' · ');
+            text.append(name, sub);
+            if (visit.note) {
+                const note = document.createElement('p');
+                note.className = 'settings-item-sub visits-note';
+                note.textContent = visit.note;
+                text.appendChild(note);
+            }
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'btn-icon group-participant-remove';
+            remove.textContent = '×';
+            remove.setAttribute('aria-label', I18n.t('visits.remove', {
+                name: visit.name,
+                date: formatDate(new Date(visit.visitedAt))
+            }));
+            remove.addEventListener('click', () => removeVisit(visit));
+
+            item.append(text, remove);
+            els.list.appendChild(item);
+        });
+    }
+
+    async function removeVisit(visit) {
+        try {
+            await VisitLog.remove(visit.id);
+        } catch (error) {
+            console.error('行ったお店の削除エラー:', error);
+            UI.showToast(error.message || I18n.t('common.error'));
+            return;
+        }
+        await render();
+        els.back.focus();
+    }
+
+    function formatDate(date) {
+        return `${date.getFullYear()}/${date.getMonth() + 1}/${date.getDate()}`;
+    }
+
+    function formatYen(amount) {
+        return `¥${amount.toLocaleString('en-US')}`;
+    }
+
+    // --- 書き出し・読み込み ---
+
+    /**
+     * 記録をファイルに書き出す
+     * @param {string} format - 'json' | 'csv'
+     */
+    async function exportVisits(format) {
+        let visits;
+        try {
+            visits = await VisitLog.list();
+        } catch (error) {
+            console.error('行ったお店の読み込みエラー:', error);
+            UI.showToast(error.message || I18n.t('common.error'));
+            return;
+        }
+        if (visits.length === 0) {
+            UI.showToast(I18n.t('visits.exportEmpty'));
+            return;
+        }
+
+        const text = format === 'csv' ? VisitLog.toCSV(visits) : VisitLog.toJSON(visits);
+        const type = format === 'csv' ? 'text/csv' : 'application/json';
+        download(text, type, `lets-eat-visits-${toDateInputValue(new Date()).replace(/-/g, '')}.${format}`);
+    }
+
+    function download(text, type, filename) {
+        const url = URL.createObjectURL(new Blob([text], { type: `${type};charset=utf-8` }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * 選んだファイル（JSON / CSV）の記録を追加
+     * @param {File} file
+     */
+    async function importFile(file) {
+        try {
+            const visits = VisitLog.parseImport(await file.text());
+            const result = await VisitLog.importVisits(visits);
+            UI.showToast(I18n.t('visits.imported', result), 3000);
+        } catch (error) {
+            console.warn('行ったお店の読み込みに失敗:', error);
+            UI.showToast(error.message || I18n.t('visits.importInvalid'));
+        }
+        render();
+    }
+
+    // イベント設定
+    els.back.addEventListener('click', () => UI.showScreen('top'));
+    els.exportJson.addEventListener('click', () => exportVisits('json'));
+    els.exportCsv.addEventListener('click', () => exportVisits('csv'));
+    els.import.addEventListener('click', () => els.importFile.click());
+    els.importFile.addEventListener('change', () => {
+        const file = els.importFile.files[0];
+        // 同じファイルをもう一度選べるように空にする
+        els.importFile.value = '';
+        if (file) importFile(file);
+    });
+
+    els.formBody.addEventListener('submit', (e) => {
+        e.preventDefault();
+        saveForm();
+    });
+    els.cancel.addEventListener('click', closeForm);
+    els.form.querySelector('.modal-overlay').addEventListener('click', closeForm);
+
+    I18n.onChange(() => {
+        if (UI.isScreenActive('visits')) render();
+    });
+
+    return {
+        open,
+        openForm
+    };
+})();
@@ -0,0 +1,330 @@
+/**
+ * visit-log.js - 行ったお店の記録 モジュール
+ * 「行った」でお店・日付・自分の評価・使った金額・メモを端末内（IndexedDB）に記録し（同じお店に何度行っても1回ずつ残す）、
+ * 集計と JSON / CSV での書き出し・読み込み（チームで記録を持ち寄る）を扱う
+ */
+
+const VisitLog = (() => {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const EXPORT_VERSION = 1;
+    // CSV の列（読み込み時は見出しの名前で列を探す）
+    const CSV_COLUMNS = ['placeId', 'name', 'address', 'cuisine', 'priceLevel', 'visitedAt', 'rating', 'spent', 'note'];
+    // 価格帯ごとの金額の範囲（円、PlacesService.formatPriceLevel の表示と同じ区切り）
+    const PRICE_LEVEL_RANGES = {
+        0: { min: 0, max: 0 },
+        1: { min: 0, max: 1000 },
+        2: { min: 1000, max: 3000 },
+        3: { min: 3000, max: 5000 },
+        4: { min: 5000, max: Infinity }
+    };
+    const TOP_PLACES_LIMIT = 5;
+    // 書き出し時に ' を付ける先頭の文字（表計算ソフトが数式として扱う文字と、' そのもの）
+    // 読み込み時は先頭の ' を1つだけ外すので、もともと ' で始まる値も元に戻る
+    const CSV_ESCAPE_PATTERN = /^[=+\-@\t\r']/;
+
+    /**
+     * 行ったことを記録
+     * @param {Object} place
+     * @param {Object} [entry]
+     * @param {number} [entry.visitedAt] - 行った日時（省略時は今）
+     * @param {number|null} [entry.rating] - 自分の評価（1〜5）
+     * @param {number|null} [entry.spent] - 使った金額（円）
+     * @param {string} [entry.note] - メモ
+     * @returns {Promise<Object>} 保存した記録
+     */
+    async function record(place, entry = {}) {
+        const visit = normalize({
+            placeId: place.id,
+            name: place.name,
+            address: place.address,
+            cuisine: PlacesService.getCuisineType(place.types),
+            priceLevel: place.priceLevel,
+            visitedAt: entry.visitedAt || Date.now(),
+            rating: entry.rating,
+            spent: entry.spent,
+            note: entry.note
+        });
+        visit.id = await AppDB.put('visits', visit);
+        return visit;
+    }
+
+    /**
+     * 記録の値をそろえる（読み込んだファイルの値・以前の形式で保存した記録もここを通す）
+     * @returns {Object|null} お店・日時が不正なら null
+     */
+    function normalize(raw) {
+        const visitedAt = typeof raw.visitedAt === 'number' ? raw.visitedAt : Date.parse(raw.visitedAt);
+        if (!raw.placeId || !raw.name || !Number.isFinite(visitedAt)) return null;
+
+        const rating = toNumberOrNull(raw.rating);
+        const spent = toNumberOrNull(raw.spent);
+        const priceLevel = toNumberOrNull(raw.priceLevel);
+        return {
+            placeId: String(raw.placeId),
+            name: String(raw.name),
+            address: raw.address ? String(raw.address) : '',
+            // 以前の記録はジャンルの代わりに types を持っている
+            cuisine: raw.cuisine ? String(raw.cuisine) : PlacesService.getCuisineType(Array.isArray(raw.types) ? raw.types : []),
+            priceLevel: priceLevel !== null && PRICE_LEVEL_RANGES[priceLevel] ? priceLevel : null,
+            visitedAt: visitedAt,
+            rating: rating !== null && rating >= 1 && rating <= 5 ? Math.round(rating) : null,
+            spent: spent !== null && spent >= 0 ? Math.round(spent) : null,
+            note: raw.note ? String(raw.note) : ''
+        };
+    }
+
+    function toNumberOrNull(value) {
+        if (value === null || value === undefined || value === '') return null;
+        const number = Number(value);
+        return Number.isFinite(number) ? number : null;
+    }
+
+    /**
+     * 記録の一覧（新しい順）
+     */
+    async function list() {
+        const visits = (await AppDB.getAll('visits'))
+            .map(visit => {
+                const normalized = normalize(visit);
+                return normalized ? { ...normalized, id: visit.id } : null;
+            })
+            .filter(Boolean);
+        return visits.sort((a, b) => b.visitedAt - a.visitedAt);
+    }
+
+    /**
+     * 記録を削除
+     * @param {number} id
+     */
+    async function remove(id) {
+        await AppDB.remove('visits', id);
+    }
+
+    /**
+     * 最近行ったお店の ID
+     * @param {number} days - 何日前までを対象にするか
+     * @returns {Promise<Set<string>>}
+     */
+    async function getRecentPlaceIds(days) {
+        const since = Date.now() - days * DAY_MS;
+        const visits = await AppDB.getAll('visits');
+        return new Set(visits.filter(visit => visit.visitedAt >= since).map(visit => visit.placeId));
+    }
+
+    // --- 集計 ---
+
+    /**
+     * 記録を集計
+     * @param {Array} visits
+     * @returns {{
+     *   total: number,
+     *   placeCount: number,
+     *   byCuisine: Array<{cuisine: string|null, count: number}>,
+     *   spendByPriceLevel: Array<{priceLevel: number, average: number, count: number, comparison: string}>,
+     *   topPlaces: Array<{placeId: string, name: string, count: number, averageRating: number|null}>
+     * }} comparison は平均金額が価格帯より 'below'（安い）/ 'within' / 'above'（高い）
+     */
+    function getStats(visits) {
+        const byCuisine = countBy(visits, visit => visit.cuisine || null)
+            .map(([cuisine, items]) => ({ cuisine: cuisine, count: items.length }));
+
+        const spendByPriceLevel = countBy(visits.filter(v => v.spent !== null && v.priceLevel !== null), v => v.priceLevel)
+            .map(([priceLevel, items]) => {
+                const average = Math.round(items.reduce((sum, v) => sum + v.spent, 0) / items.length);
+                const range = PRICE_LEVEL_RANGES[priceLevel];
+                const comparison = average < range.min ? 'below' : average > range.max ? 'above' : 'within';
+                return { priceLevel: priceLevel, average: average, count: items.length, comparison: comparison };
+            })
+            .sort((a, b) => a.priceLevel - b.priceLevel);
+
+        const places = countBy(visits, visit => visit.placeId);
+        const topPlaces = places
+            .map(([placeId, items]) => {
+                const ratings = items.map(v => v.rating).filter(rating => rating !== null);
+                return {
+                    placeId: placeId,
+                    name: items[0].name,
+                    count: items.length,
+                    averageRating: ratings.length > 0
+                        ? Math.round(ratings.reduce((sum, r) => sum + r, 0) / ratings.length * 10) / 10
+                        : null
+                };
+            })
+            .slice(0, TOP_PLACES_LIMIT);
+
+        return {
+            total: visits.length,
+            placeCount: places.length,
+            byCuisine: byCuisine,
+            spendByPriceLevel: spendByPriceLevel,
+            topPlaces: topPlaces
+        };
+    }
+
+    /**
+     * キーごとにまとめる（件数の多い順、同数なら新しい記録が先のまま）
+     * @returns {Array<[*, Array]>}
+     */
+    function countBy(items, keyOf) {
+        const groups = new Map();
+        items.forEach(item => {
+            const key = keyOf(item);
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(item);
+        });
+        return [...groups.entries()].sort((a, b) => b[1].length - a[1].length);
+    }
+
+    // --- 書き出し・読み込み ---
+
+    /**
+     * JSON で書き出す
+     * @param {Array} visits
+     * @returns {string}
+     */
+    function toJSON(visits) {
+        return JSON.stringify({
+            app: 'lets-eat',
+            type: 'visits',
+            version: EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            visits: visits.map(visit => ({ ...toExportRecord(visit), visitedAt: new Date(visit.visitedAt).toISOString() }))
+        }, null, 2);
+    }
+
+    /**
+     * CSV で書き出す（表計算ソフトで文字化けしないよう BOM を付ける）
+     * @param {Array} visits
+     * @returns {string}
+     */
+    function toCSV(visits) {
+        const rows = visits.map(visit => {
+            const values = { ...toExportRecord(visit), visitedAt: new Date(visit.visitedAt).toISOString() };
+            return CSV_COLUMNS.map(column => escapeCSV(values[column]));
+        });
+        return '\uFEFF' + [CSV_COLUMNS, ...rows].map(row => row.join(',')).join('\r\n') + '\r\n';
+    }
+
+    // 端末ごとの ID は書き出さない
+    function toExportRecord(visit) {
+        const { id, ...rest } = visit;
+        return rest;
+    }
+
+    function escapeCSV(value) {
+        if (value === null || value === undefined) return '';
+        const text = CSV_ESCAPE_PATTERN.test(String(value)) ? `'${value}` : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // 書き出し時に付けた ' を外す
+    function unescapeCSV(value) {
+        return value.startsWith("'") ? value.slice(1) : value;
+    }
+
+    /**
+     * 書き出したファイル（JSON / CSV）を記録の配列に変換
+     * @param {string} text - ファイルの内容
+     * @returns {Array} 正しく読めた記録（不正な行は除く）
+     * @throws {Error} 形式が分からない・記録が1件もない場合
+     */
+    function parseImport(text) {
+        const content = text.replace(/^\uFEFF/, '').trim();
+        let rawVisits;
+        if (content.startsWith('{') || content.startsWith('[')) {
+            let data;
+            try {
+                data = JSON.parse(content);
+            } catch (e) {
+                throw new Error(I18n.t('visits.importInvalid'));
+            }
+            rawVisits = Array.isArray(data) ? data : data.visits;
+        } else {
+            rawVisits = parseCSV(content);
+        }
+
+        const visits = (Array.isArray(rawVisits) ? rawVisits : [])
+            .map(raw => (raw && typeof raw === 'object' ? normalize(raw) : null))
+            .filter(Boolean);
+        if (visits.length === 0) {
+            throw new Error(I18n.t('visits.importInvalid'));
+        }
+        return visits;
+    }
+
+    /**
+     * CSV を見出し行の名前をキーにしたオブジェクトの配列に変換（"" で囲んだ値の中の改行・カンマに対応）
+     */
+    function parseCSV(text) {
+        const rows = [];
+        let row = [];
+        let value = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    value += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    value += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(value);
+                value = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(value);
+                rows.push(row);
+                row = [];
+                value = '';
+            } else {
+                value += char;
+            }
+        }
+        row.push(value);
+        rows.push(row);
+
+        const [header, ...body] = rows;
+        return body
+            .filter(cells => cells.some(cell => cell !== ''))
+            .map(cells => Object.fromEntries(header.map((name, index) => [name.trim(), unescapeCSV(cells[index] || '')])));
+    }
+
+    /**
+     * 読み込んだ記録を追加（同じお店・同じ日時の記録はすでにあるものとして追加しない）
+     * @param {Array} visits - parseImport の結果
+     * @returns {Promise<{added: number, skipped: number}>}
+     */
+    async function importVisits(visits) {
+        const keyOf = visit => `${visit.placeId}|${visit.visitedAt}`;
+        const existing = new Set((await AppDB.getAll('visits')).map(keyOf));
+
+        let added = 0;
+        for (const visit of visits) {
+            const key = keyOf(visit);
+            if (existing.has(key)) continue;
+            existing.add(key);
+            await AppDB.put('visits', visit);
+            added++;
+        }
+        return { added: added, skipped: visits.length - added };
+    }
+
+    return {
+        record,
+        list,
+        remove,
+        getRecentPlaceIds,
+        getStats,
+        toJSON,
+        toCSV,
+        parseImport,
+        importVisits
+    };
+})();
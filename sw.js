@@ -0,0 +1,149 @@
+/**
+ * sw.js - Service Worker
+ * アプリの骨組み（HTML / CSS / JS）を事前キャッシュし、電波の悪い場所でも起動できるようにする
+ * 検索結果と店舗詳細は IndexedDB（OfflineCache）に保存するため、API は写真だけをキャッシュする
+ */
+
+// 事前キャッシュするファイルを変更・追加したらバージョンを上げる
+const SHELL_CACHE = 'lets-eat-shell-v19';
+const PHOTO_CACHE = 'lets-eat-photos-v1';
+const CACHES_IN_USE = [SHELL_CACHE, PHOTO_CACHE];
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'css/style.css',
+    'js/i18n.js',
+    'js/hours-parser.js',
+    'js/review-analyzer.js',
+    'js/app-db.js',
+    'js/deep-link.js',
+    'js/offline-cache.js',
+    'js/location.js',
+    'js/google-provider.js',
+    'js/fixture-provider.js',
+    'js/places.js',
+    'js/details-prefetch.js',
+    'js/favorites.js',
+    'js/hidden-places.js',
+    'js/visit-log.js',
+    'js/dialog.js',
+    'js/ui.js',
+    'js/map-view.js',
+    'js/location-picker.js',
+    'js/roulette.js',
+    'js/compare-view.js',
+    'js/group-meetup.js',
+    'js/visit-history.js',
+    'js/app.js'
+];
+
+// 電波が弱いときはこの時間でネットワークを諦めてキャッシュを返す
+const NETWORK_TIMEOUT_MS = 3000;
+const PHOTO_CACHE_LIMIT = 80;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(key => !CACHES_IN_USE.includes(key)).map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+
+    // 店舗写真は一度表示したものを再利用（前回の検索結果をオフラインで表示するため）
+    if (url.pathname === '/api/places/photo') {
+        event.respondWith(cacheFirst(request, PHOTO_CACHE, PHOTO_CACHE_LIMIT));
+        return;
+    }
+
+    // その他の API はページ側で扱う
+    if (url.pathname.startsWith('/api/')) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request, 'index.html'));
+        return;
+    }
+
+    const path = url.pathname.replace(/^\//, '');
+    if (SHELL_FILES.includes(path)) {
+        event.respondWith(networkFirst(request, path));
+    }
+});
+
+/**
+ * ネットワーク優先（成功したらキャッシュを更新、失敗・タイムアウト時はキャッシュ）
+ * @param {Request} request
+ * @param {string} cacheKey - 事前キャッシュしたファイルのパス
+ */
+async function networkFirst(request, cacheKey) {
+    const cache = await caches.open(SHELL_CACHE);
+    const network = fetch(request).then(response => {
+        if (response.ok) {
+            cache.put(cacheKey, response.clone());
+        }
+        return response;
+    });
+    // タイムアウト後に失敗しても未処理のエラーにしない
+    network.catch(() => {});
+
+    try {
+        return await withTimeout(network, NETWORK_TIMEOUT_MS);
+    } catch (error) {
+        const cached = await cache.match(cacheKey);
+        // キャッシュがなければネットワークの結果を待つ
+        return cached || network;
+    }
+}
+
+/**
+ * キャッシュ優先（なければ取得して保存し、古いものから上限まで削除）
+ */
+async function cacheFirst(request, cacheName, limit) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    // 写真は外部ドメインへのリダイレクトのため opaque なレスポンスも保存する
+    if (response.ok || response.type === 'opaque') {
+        await cache.put(request, response.clone());
+        const keys = await cache.keys();
+        await Promise.all(keys.slice(0, Math.max(0, keys.length - limit)).map(key => cache.delete(key)));
+    }
+    return response;
+}
+
+function withTimeout(promise, ms) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('timeout')), ms);
+        promise.then(
+            (value) => {
+                clearTimeout(timer);
+                resolve(value);
+            },
+            (error) => {
+                clearTimeout(timer);
+                reject(error);
+            }
+        );
+    });
+}